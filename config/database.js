@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// Let queries inside connection.transaction() pick up the session automatically
+mongoose.set("transactionAsyncLocalStorage", true);
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
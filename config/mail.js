@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Development transport that writes each message to an .eml file
+ */
+const createFileTransport = (outputDir) => ({
+  name: 'file',
+  version: '1.0.0',
+  send(mail, callback) {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const messageId = mail.message.messageId();
+    const fileName = `${Date.now()}-${messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+    const output = fs.createWriteStream(path.join(outputDir, fileName));
+
+    mail.message
+      .createReadStream()
+      .on('error', callback)
+      .pipe(output)
+      .on('error', callback)
+      .on('finish', () => callback(null, { messageId, envelope: mail.message.getEnvelope(), path: fileName }));
+  },
+});
+
+/**
+ * Create the mail transport. MAIL_TRANSPORT selects 'smtp', 'json' (discards messages)
+ * or 'file'; it defaults to smtp when SMTP_HOST is set and json otherwise.
+ * In production only SMTP is allowed, so emails are never silently dropped.
+ */
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+  if (process.env.NODE_ENV === 'production' && (transport !== 'smtp' || !process.env.SMTP_HOST)) {
+    throw new Error('SMTP_HOST must be set (and MAIL_TRANSPORT be smtp) when NODE_ENV is production');
+  }
+
+  switch (transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    case 'file':
+      return nodemailer.createTransport(
+        createFileTransport(path.resolve(process.env.MAIL_OUTPUT_DIR || 'mail-outbox'))
+      );
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+  }
+};
+
+const transporter = createTransport();
+
+module.exports = transporter;
@@ -0,0 +1,103 @@
+const Activity = require('../models/Activity');
+const { findAccessibleFile } = require('../utils/permissions');
+const { getDescendants } = require('../utils/fileTree');
+const { encodeCursor, decodeCursor, getCursorCondition } = require('../utils/search');
+
+/**
+ * Helper function to send one page of activity, newest first
+ */
+const findActivityPage = async (req, res, conditions, { includeIpAddress = true } = {}) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const query = [...conditions];
+
+  if (req.query.action) {
+    query.push({ action: req.query.action });
+  }
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+      });
+    }
+    query.push(getCursorCondition(cursor, 'createdAt', -1));
+  }
+
+  const events = await Activity.find({ $and: query })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .select(includeIpAddress ? '' : '-ipAddress')
+    .populate('actor', 'email firstName lastName');
+
+  const hasMore = events.length > limit;
+  const page = events.slice(0, limit);
+
+  res.status(200).json({
+    success: true,
+    count: page.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt') : null,
+    data: page,
+  });
+};
+
+/**
+ * @desc    Get activity of a file, or of a folder and everything inside it
+ * @route   GET /api/files/:id/activity
+ * @access  Private
+ */
+const getFileActivity = async (req, res) => {
+  try {
+    const { file, role } = await findAccessibleFile(req.params.id, req.user._id, 'viewer');
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    const fileIds = [file._id];
+    if (file.type === 'folder') {
+      const descendants = await getDescendants(file._id, { owner: file.owner });
+      fileIds.push(...descendants.map((item) => item._id));
+    }
+
+    // Where collaborators connect from is only shown to the owner
+    await findActivityPage(req, res, [{ file: { $in: fileIds } }], {
+      includeIpAddress: role === 'owner',
+    });
+  } catch (error) {
+    console.error('Get file activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching activity',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the user's activity feed (their own actions and actions on their files)
+ * @route   GET /api/activity
+ * @access  Private
+ */
+const getActivityFeed = async (req, res) => {
+  try {
+    await findActivityPage(req, res, [{ $or: [{ actor: req.user._id }, { owner: req.user._id }] }]);
+  } catch (error) {
+    console.error('Get activity feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching activity',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getFileActivity,
+  getActivityFeed,
+};
@@ -0,0 +1,590 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Session = require('../models/Session');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { escapeRegex, encodeCursor, decodeCursor, getCursorCondition } = require('../utils/search');
+const { revokeSessions } = require('../utils/sessions');
+const { reconcileStorage } = require('../utils/quota');
+const { deleteUserAccount } = require('../utils/accounts');
+const { generatePasswordResetToken, getTokenExpiration } = require('../utils/tokenGenerator');
+const { sendPasswordResetEmail } = require('../utils/email');
+
+const USER_SORT_FIELDS = {
+  created: 'createdAt',
+  createdAt: 'createdAt',
+  email: 'email',
+  storage: 'storageUsed',
+  storageUsed: 'storageUsed',
+};
+
+/**
+ * Helper function to read the page size from the query string
+ */
+const getLimit = (req) => Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+/**
+ * Helper function to shape a user for admin responses
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  isActive: user.isActive,
+  twoFactorEnabled: user.twoFactorEnabled,
+  storageUsed: user.storageUsed,
+  storageLimit: user.storageLimit,
+  usagePercent: user.storageLimit > 0 ? Math.round((user.storageUsed / user.storageLimit) * 1000) / 10 : 0,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Helper function to find the user an admin action targets
+ */
+const findTargetUser = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return User.findById(id);
+};
+
+/**
+ * Helper function to record an admin action in the audit trail
+ */
+const recordAudit = (req, action, targetUser, details = {}) => {
+  return AdminAuditLog.create({
+    admin: req.user._id,
+    action,
+    targetUser: targetUser ? targetUser._id : null,
+    targetEmail: targetUser ? targetUser.email : null,
+    details,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  });
+};
+
+/**
+ * @desc    List and search users with their storage usage
+ * @route   GET /api/admin/users
+ * @access  Admin
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { search, role, isActive, sort, order } = req.query;
+    const sortField = Object.hasOwn(USER_SORT_FIELDS, sort) ? USER_SORT_FIELDS[sort] : 'createdAt';
+    const direction = order === 'asc' ? 1 : -1;
+    const limit = getLimit(req);
+
+    const conditions = [];
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      conditions.push({ $or: [{ email: pattern }, { firstName: pattern }, { lastName: pattern }] });
+    }
+    if (role) {
+      conditions.push({ role });
+    }
+    if (isActive !== undefined) {
+      conditions.push({ isActive: isActive === 'true' });
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      conditions.push(getCursorCondition(cursor, sortField, direction));
+    }
+
+    // Fetch one extra user to know whether there is another page
+    const users = await User.find(conditions.length > 0 ? { $and: conditions } : {})
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+
+    const hasMore = users.length > limit;
+    const page = users.slice(0, limit);
+
+    // Item counts for the users on this page
+    const counts = await File.aggregate([
+      { $match: { owner: { $in: page.map((user) => user._id) } } },
+      { $group: { _id: '$owner', items: { $sum: 1 } } },
+    ]);
+    const itemsByUser = new Map(counts.map((entry) => [entry._id.toString(), entry.items]));
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+      data: page.map((user) => ({
+        ...formatUser(user),
+        itemCount: itemsByUser.get(user._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a user with their storage stats
+ * @route   GET /api/admin/users/:id
+ * @access  Admin
+ */
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const [itemStats] = await File.aggregate([
+      { $match: { owner: user._id } },
+      {
+        $group: {
+          _id: null,
+          files: { $sum: { $cond: [{ $eq: ['$type', 'file'] }, 1, 0] } },
+          folders: { $sum: { $cond: [{ $eq: ['$type', 'folder'] }, 1, 0] } },
+          trashedItems: { $sum: { $cond: ['$isTrashed', 1, 0] } },
+          // Folder sizes are totals of their contents, so only files are summed
+          activeBytes: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$type', 'file'] }, { $not: ['$isTrashed'] }] }, '$size', 0] },
+          },
+          trashBytes: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$type', 'file'] }, '$isTrashed'] }, '$size', 0] },
+          },
+        },
+      },
+    ]);
+
+    const [versionStats] = await FileVersion.aggregate([
+      { $match: { owner: user._id } },
+      { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' } } },
+    ]);
+
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: formatUser(user),
+        stats: {
+          files: itemStats ? itemStats.files : 0,
+          folders: itemStats ? itemStats.folders : 0,
+          trashedItems: itemStats ? itemStats.trashedItems : 0,
+          activeBytes: itemStats ? itemStats.activeBytes : 0,
+          trashBytes: itemStats ? itemStats.trashBytes : 0,
+          versionCount: versionStats ? versionStats.count : 0,
+          versionBytes: versionStats ? versionStats.bytes : 0,
+          activeSessions,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Change a user's storage limit
+ * @route   PATCH /api/admin/users/:id/storage-limit
+ * @access  Admin
+ */
+const updateStorageLimit = async (req, res) => {
+  try {
+    const storageLimit = Number(req.body.storageLimit);
+
+    if (!Number.isInteger(storageLimit) || storageLimit < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'storageLimit must be a non-negative number of bytes',
+      });
+    }
+
+    const user = await findTargetUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const previousLimit = user.storageLimit;
+    user.storageLimit = storageLimit;
+    await user.save();
+
+    await recordAudit(req, 'update-storage-limit', user, { previousLimit, storageLimit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Storage limit updated',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Admin update storage limit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating storage limit',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Activate or deactivate a user account
+ * @route   PATCH /api/admin/users/:id/status
+ * @access  Admin
+ */
+const updateStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false',
+      });
+    }
+
+    const user = await findTargetUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account',
+      });
+    }
+
+    user.isActive = isActive;
+    if (isActive) {
+      user.activationToken = null;
+      user.activationTokenExpires = null;
+    }
+    await user.save();
+
+    // A deactivated user is signed out everywhere
+    let revokedSessions = 0;
+    if (!isActive) {
+      revokedSessions = await revokeSessions(user._id, {}, 'revoked');
+    }
+
+    await recordAudit(req, isActive ? 'activate-user' : 'deactivate-user', user, { revokedSessions });
+
+    res.status(200).json({
+      success: true,
+      message: isActive ? 'User activated' : 'User deactivated',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Admin update status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user status',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/admin/users/:id/role
+ * @access  Admin
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!['user', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be either user or admin',
+      });
+    }
+
+    const user = await findTargetUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, 'change-role', user, { previousRole, role });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated',
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Force a password reset: the current password stops working, all devices
+ *          are signed out and the user is emailed a reset link
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Admin
+ */
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const resetToken = generatePasswordResetToken();
+
+    // A random password nobody knows replaces the current one
+    user.password = crypto.randomBytes(32).toString('hex');
+    user.resetPasswordToken = resetToken;
+    user.resetPasswordExpires = getTokenExpiration(24); // 24 hours
+    await user.save();
+
+    const revokedSessions = await revokeSessions(user._id, {}, 'password-reset');
+
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (emailError) {
+      console.error('Password reset email error:', emailError);
+      emailSent = false;
+    }
+
+    await recordAudit(req, 'force-password-reset', user, { revokedSessions, emailSent });
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? 'Password reset forced and reset link emailed to the user'
+        : 'Password reset forced, but the reset email could not be sent',
+      data: { emailSent, revokedSessions },
+    });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while forcing password reset',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Recompute a user's storage usage and fix any drift
+ * @route   POST /api/admin/users/:id/reconcile
+ * @access  Admin
+ */
+const reconcileUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const result = await reconcileStorage(user._id);
+
+    await recordAudit(req, 'reconcile-storage', user, result);
+
+    res.status(200).json({
+      success: true,
+      message: result.drift === 0 ? 'Storage usage is up to date' : 'Storage usage corrected',
+      data: {
+        previousStorageUsed: result.previous,
+        storageUsed: result.actual,
+        drift: result.drift,
+      },
+    });
+  } catch (error) {
+    console.error('Admin reconcile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reconciling storage usage',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a user with all their files and stored objects
+ * @route   DELETE /api/admin/users/:id
+ * @access  Admin
+ */
+const deleteUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account',
+      });
+    }
+
+    const result = await deleteUserAccount(user);
+
+    await recordAudit(req, 'delete-user', user, {
+      name: user.getFullName(),
+      storageUsed: user.storageUsed,
+      ...result,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User and all their files deleted',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting user',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the admin audit trail
+ * @route   GET /api/admin/audit
+ * @access  Admin
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { admin, targetUser, action } = req.query;
+    const limit = getLimit(req);
+    const conditions = [];
+
+    if (admin) {
+      if (!mongoose.isValidObjectId(admin)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid admin id',
+        });
+      }
+      conditions.push({ admin });
+    }
+    if (targetUser) {
+      if (!mongoose.isValidObjectId(targetUser)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid target user id',
+        });
+      }
+      conditions.push({ targetUser });
+    }
+    if (action) {
+      conditions.push({ action });
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      conditions.push(getCursorCondition(cursor, 'createdAt', -1));
+    }
+
+    const entries = await AdminAuditLog.find(conditions.length > 0 ? { $and: conditions } : {})
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('admin', 'email firstName lastName');
+
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt') : null,
+      data: page,
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateStorageLimit,
+  updateStatus,
+  updateRole,
+  forcePasswordReset,
+  reconcileUser,
+  deleteUser,
+  getAuditLog,
+};
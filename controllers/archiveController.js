@@ -0,0 +1,217 @@
+const archiver = require('archiver');
+const { findAccessibleFile } = require('../utils/permissions');
+const { getDescendants } = require('../utils/fileTree');
+const { getObjectStream } = require('../storage');
+
+/**
+ * Maximum total size of the files in one ZIP download
+ * @returns {number} Size limit in bytes
+ */
+const getMaxZipSize = () => {
+  return (parseInt(process.env.ZIP_MAX_TOTAL_SIZE_MB, 10) || 2048) * 1024 * 1024;
+};
+
+/**
+ * Helper function to make one path segment safe to extract: no slashes, backslashes,
+ * control characters or ".." runs, and never "." on its own
+ */
+const safeSegment = (name) => {
+  const segment = String(name)
+    .replace(/[\\/]/g, '_')
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .replace(/\.{2,}/g, (dots) => '_'.repeat(dots.length))
+    .trim();
+  return segment === '' || segment === '.' ? '_' : segment;
+};
+
+/**
+ * Helper function to build a safe relative entry name from a "/"-separated path
+ */
+const safeEntryPath = (relativePath) => {
+  return relativePath.split('/').filter(Boolean).map(safeSegment).join('/');
+};
+
+/**
+ * Helper function to make an archive entry name unique (report.pdf, report (1).pdf, ...)
+ */
+const uniqueEntryName = (name, usedNames, isFolder) => {
+  const dotIndex = isFolder ? -1 : name.lastIndexOf('.');
+  const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+  const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+
+  let candidate = name;
+  for (let i = 1; usedNames.has(candidate); i++) {
+    candidate = `${base} (${i})${extension}`;
+  }
+  usedNames.add(candidate);
+
+  return candidate;
+};
+
+/**
+ * Helper function to list archive entries for the selected items.
+ * Folder contents keep their layout relative to the selected folder, based on File.path.
+ */
+const buildEntries = async (items) => {
+  const entries = [];
+  const usedNames = new Set();
+
+  for (const item of items) {
+    // Names come from users; every segment is cleaned so entries can't escape on extraction
+    const rootName = uniqueEntryName(safeSegment(item.name), usedNames, item.type === 'folder');
+
+    if (item.type === 'file') {
+      entries.push({ name: rootName, file: item });
+      continue;
+    }
+
+    entries.push({ name: `${rootName}/`, file: null });
+
+    const descendants = await getDescendants(item._id, { owner: item.owner, isTrashed: false });
+    const folderPrefix = `${item.path}${item.name}/`;
+
+    for (const descendant of descendants) {
+      const relativeDir = descendant.path.startsWith(folderPrefix)
+        ? descendant.path.slice(folderPrefix.length)
+        : '';
+      const entryName = [rootName, safeEntryPath(relativeDir), safeSegment(descendant.name)]
+        .filter(Boolean)
+        .join('/');
+
+      if (descendant.type === 'folder') {
+        entries.push({ name: `${entryName}/`, file: null });
+      } else {
+        entries.push({ name: entryName, file: descendant });
+      }
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Helper function to append one entry and wait until the archive has consumed it.
+ * Also settles if the archive fails or the client disconnects, so the loop never hangs.
+ */
+const appendEntry = (archive, res, source, data) => {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      res.off('close', onEntry);
+    };
+    const onEntry = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    res.on('close', onEntry);
+    archive.append(source, data);
+  });
+};
+
+/**
+ * @desc    Download a folder, or a selection of files and folders, as a ZIP archive
+ * @route   GET /api/files/:id/zip
+ * @route   POST /api/files/zip
+ * @access  Private
+ */
+const downloadZip = async (req, res) => {
+  let archive;
+
+  try {
+    const ids = req.params.id ? [req.params.id] : req.body.ids;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the files/folders to download',
+      });
+    }
+
+    const items = [];
+    for (const id of ids) {
+      const { file } = await findAccessibleFile(id, req.user._id, 'viewer', { isTrashed: false });
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: `File/Folder not found: ${id}`,
+        });
+      }
+
+      items.push(file);
+    }
+
+    const entries = await buildEntries(items);
+
+    const totalSize = entries.reduce((total, entry) => total + (entry.file ? entry.file.size : 0), 0);
+    if (totalSize > getMaxZipSize()) {
+      return res.status(400).json({
+        success: false,
+        message: `Selection is too large to download as a ZIP (limit ${Math.round(getMaxZipSize() / (1024 * 1024))}MB)`,
+      });
+    }
+
+    const archiveName = items.length === 1 && items[0].type === 'folder' ? items[0].name : 'download';
+
+    // res.attachment encodes names that don't fit in a plain header (quotes, non-Latin-1)
+    res.status(200);
+    res.attachment(`${archiveName}.zip`);
+    res.set('Content-Type', 'application/zip');
+
+    archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (warning) => console.error('ZIP warning:', warning));
+    archive.on('error', (error) => {
+      console.error('ZIP stream error:', error);
+      res.destroy(error);
+    });
+
+    // Stop reading from storage if the client goes away
+    let aborted = false;
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        aborted = true;
+        archive.abort();
+      }
+    });
+
+    archive.pipe(res);
+
+    // Open one storage stream at a time so large selections aren't all fetched at once
+    for (const entry of entries) {
+      if (aborted) return;
+
+      if (!entry.file) {
+        archive.append('', { name: entry.name });
+        continue;
+      }
+
+      const stream = await getObjectStream(entry.file.s3Key);
+      await appendEntry(archive, res, stream, { name: entry.name, date: entry.file.updatedAt });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Download zip error:', error);
+
+    if (res.headersSent) {
+      if (archive) archive.abort();
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating ZIP archive',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = { downloadZip };
@@ -1,10 +1,21 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const {
+  SessionError,
+  rotateSession,
+  buildLoginResponse,
+  generateChallengeToken,
+  revokeSessions,
+} = require('../utils/sessions');
 const {
   generateActivationToken,
   generatePasswordResetToken,
   getTokenExpiration,
 } = require('../utils/tokenGenerator');
+const {
+  sendActivationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+} = require('../utils/email');
 
 /**
  * @desc    Register new user
@@ -47,11 +58,16 @@ const register = async (req, res) => {
       activationTokenExpires,
     });
 
-    // Return token to frontend for EmailJS
+    // The account exists either way; a failed email can be sent again with resend-activation
+    try {
+      await sendActivationEmail(user, activationToken);
+    } catch (emailError) {
+      console.error('Activation email error:', emailError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Registration successful! Please check your email to activate your account.',
-      activationToken, // Frontend needs this for EmailJS
       data: {
         email: user.email,
         firstName: user.firstName,
@@ -123,6 +139,60 @@ const activateAccount = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Send a new activation link
+ * @route   POST /api/auth/resend-activation
+ * @access  Public
+ */
+const resendActivation = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email address',
+      });
+    }
+
+    // Same response whether or not the account exists (security)
+    const genericResponse = {
+      success: true,
+      message: 'If an inactive account exists with this email, a new activation link has been sent.',
+    };
+
+    const user = await User.findOne({ email });
+
+    if (!user || user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Previous links stop working
+    user.activationToken = generateActivationToken();
+    user.activationTokenExpires = getTokenExpiration(24); // 24 hours
+    await user.save();
+
+    try {
+      await sendActivationEmail(user, user.activationToken);
+    } catch (emailError) {
+      console.error('Activation email error:', emailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send activation email. Please try again later.',
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Resend activation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending activation email',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @desc    Login user
  * @route   POST /api/auth/login
@@ -168,23 +238,23 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Second step: the client exchanges the challenge token and a code for a session
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        },
+      });
+    }
 
+    // Start a session: short-lived access token plus a refresh token for this device
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          storageUsed: user.storageUsed,
-          storageLimit: user.storageLimit,
-        },
-      },
+      data: await buildLoginResponse(user, req),
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -197,7 +267,7 @@ const login = async (req, res) => {
 };
 
 /**
- * @desc    Forgot password - send reset token to frontend
+ * @desc    Forgot password - email a reset link
  * @route   POST /api/auth/forgot-password
  * @access  Public
  */
@@ -240,12 +310,19 @@ const forgotPassword = async (req, res) => {
     user.resetPasswordExpires = resetTokenExpires;
     await user.save();
 
-    // Return token to frontend for EmailJS
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (emailError) {
+      console.error('Password reset email error:', emailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send password reset email. Please try again later.',
+      });
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Password reset link has been sent to your email.',
-      resetToken, // Frontend needs this for EmailJS
-      firstName: user.firstName, // For personalized email
+      message: 'If an account exists with this email, a password reset link has been sent.',
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -300,6 +377,15 @@ const resetPassword = async (req, res) => {
     user.resetPasswordExpires = null;
     await user.save();
 
+    // Sign out every device
+    await revokeSessions(user._id, {}, 'password-reset');
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (emailError) {
+      console.error('Password changed email error:', emailError);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Password reset successful! You can now login with your new password.',
@@ -314,6 +400,71 @@ const resetPassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get a new access token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token',
+      });
+    }
+
+    const { accessToken, refreshToken: newRefreshToken } = await rotateSession(token, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: accessToken,
+        refreshToken: newRefreshToken,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Logout (ends the current session)
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSessions(req.user._id, { _id: req.sessionId }, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @desc    Verify JWT token
  * @route   GET /api/auth/verify
@@ -332,6 +483,7 @@ const verifyToken = async (req, res) => {
           lastName: req.user.lastName,
           storageUsed: req.user.storageUsed,
           storageLimit: req.user.storageLimit,
+          twoFactorEnabled: req.user.twoFactorEnabled,
         },
       },
     });
@@ -348,8 +500,11 @@ const verifyToken = async (req, res) => {
 module.exports = {
   register,
   activateAccount,
+  resendActivation,
   login,
   forgotPassword,
   resetPassword,
+  refreshToken,
+  logout,
   verifyToken,
 };
\ No newline at end of file
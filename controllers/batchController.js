@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { findAccessibleFile } = require('../utils/permissions');
+const { removeFileRecords, deleteStoredObjects } = require('../utils/trash');
+const { findOwnTags } = require('../utils/tags');
+const { snapshot, recordActivity } = require('../utils/activity');
+const {
+  FileOperationError,
+  moveItem,
+  trashItem,
+  setStarred,
+  setTags,
+  copyItem,
+} = require('../utils/fileOperations');
+
+const MAX_BATCH_SIZE = 1000;
+
+// Access each operation needs, matching the single-item endpoints
+const OPERATIONS = {
+  move: { role: 'editor', filter: { isTrashed: false } },
+  trash: { role: 'owner', filter: { isTrashed: false } },
+  star: { role: 'owner', filter: {} },
+  tag: { role: 'owner', filter: {} },
+  untag: { role: 'owner', filter: {} },
+  delete: { role: 'owner', filter: { isTrashed: true, trashRoot: null } },
+  copy: { role: 'viewer', filter: { isTrashed: false } },
+};
+
+/**
+ * @desc    Apply one operation to many files/folders
+ * @route   POST /api/files/batch
+ * @access  Private
+ */
+const batchOperation = async (req, res) => {
+  try {
+    const { operation, ids, targetFolderId, starred, tagIds, atomic } = req.body;
+
+    if (!Object.hasOwn(OPERATIONS, operation)) {
+      return res.status(400).json({
+        success: false,
+        message: `Operation must be one of: ${Object.keys(OPERATIONS).join(', ')}`,
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the ids of the files/folders',
+      });
+    }
+
+    if (ids.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${MAX_BATCH_SIZE} items`,
+      });
+    }
+
+    if (operation === 'star' && typeof starred !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'starred must be true or false',
+      });
+    }
+
+    let tags = [];
+    if (operation === 'tag' || operation === 'untag') {
+      if (!Array.isArray(tagIds) || tagIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide the ids of the tags',
+        });
+      }
+
+      const found = await findOwnTags(req.user._id, tagIds);
+      if (found.invalidIds.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Some tags were not found',
+          invalidTagIds: found.invalidIds,
+        });
+      }
+      tags = found.tags.map((tag) => tag._id);
+    }
+
+    // Validate access to every item before changing anything
+    const uniqueIds = [...new Set(ids.map(String))];
+    const { role: requiredRole, filter } = OPERATIONS[operation];
+    const items = [];
+    const invalidIds = [];
+
+    for (const id of uniqueIds) {
+      if (!mongoose.isValidObjectId(id)) {
+        invalidIds.push(id);
+        continue;
+      }
+
+      const { file, role } = await findAccessibleFile(id, req.user._id, requiredRole, filter);
+      if (file) {
+        items.push({ file, role });
+      } else {
+        invalidIds.push(id);
+      }
+    }
+
+    if (invalidIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some files/folders were not found or cannot be changed',
+        invalidIds,
+      });
+    }
+
+    const createdKeys = [];
+    const keysToDelete = [];
+    // Recorded once the changes are final, like the single-item endpoints do
+    const activities = [];
+
+    const applyOperation = async ({ file, role }) => {
+      switch (operation) {
+        case 'move': {
+          const before = snapshot(file);
+          await moveItem(file, role, targetFolderId || null, req.user._id);
+          activities.push({ action: 'move', file, before });
+          return file;
+        }
+        case 'trash': {
+          // The item may already have been trashed along with a folder earlier in the batch
+          const current = await File.findById(file._id);
+          if (current.isTrashed) return current;
+          await trashItem(current);
+          activities.push({ action: 'trash', file: current });
+          return current;
+        }
+        case 'star': {
+          const changed = file.isStarred !== starred;
+          await setStarred(file, starred);
+          if (changed) activities.push({ action: starred ? 'star' : 'unstar', file });
+          return file;
+        }
+        case 'tag':
+        case 'untag':
+          return setTags(file, tags, operation === 'tag');
+        case 'copy':
+          return copyItem(file, targetFolderId || null, null, req.user._id, createdKeys);
+        case 'delete': {
+          const { keys } = await removeFileRecords([file], req.user._id);
+          keysToDelete.push(...keys);
+          return null;
+        }
+      }
+    };
+
+    const results = [];
+
+    if (atomic) {
+      // All-or-nothing: every database change runs in one transaction
+      let failedId = null;
+      try {
+        await mongoose.connection.transaction(async () => {
+          results.length = 0;
+          activities.length = 0;
+          for (const item of items) {
+            failedId = item.file._id.toString();
+            const data = await applyOperation(item);
+            results.push({ id: failedId, success: true, data });
+          }
+        });
+      } catch (error) {
+        // Objects copied in storage aren't covered by the transaction
+        await deleteStoredObjects(createdKeys);
+
+        const isOperationError = error instanceof FileOperationError;
+        if (!isOperationError) {
+          console.error('Batch operation error:', error);
+        }
+
+        return res.status(isOperationError ? error.statusCode : 500).json({
+          success: false,
+          message: `Batch ${operation} failed, no changes were applied`,
+          failed: {
+            id: failedId,
+            message: isOperationError ? error.message : 'Server error',
+          },
+          error: isOperationError ? undefined : error.message,
+        });
+      }
+    } else {
+      for (const item of items) {
+        const id = item.file._id.toString();
+        try {
+          const data = await applyOperation(item);
+          results.push({ id, success: true, data });
+        } catch (error) {
+          const isOperationError = error instanceof FileOperationError;
+          if (!isOperationError) {
+            console.error(`Batch ${operation} error for ${id}:`, error);
+          }
+          results.push({
+            id,
+            success: false,
+            message: isOperationError ? error.message : 'Server error',
+          });
+        }
+      }
+    }
+
+    // Stored objects are only removed once the database changes are final
+    await deleteStoredObjects(keysToDelete);
+
+    for (const { action, file, before } of activities) {
+      await recordActivity(req, action, file, { before });
+    }
+
+    const failedCount = results.filter((result) => !result.success).length;
+
+    res.status(200).json({
+      success: failedCount === 0,
+      message: `Batch ${operation} completed`,
+      succeeded: results.length - failedCount,
+      failed: failedCount,
+      results,
+    });
+  } catch (error) {
+    console.error('Batch operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing batch operation',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = { batchOperation };
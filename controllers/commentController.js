@@ -0,0 +1,382 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const { findAccessibleFile } = require('../utils/permissions');
+const { resolveMentions, notifyMentions } = require('../utils/comments');
+const { encodeCursor, decodeCursor, getCursorCondition } = require('../utils/search');
+
+const AUTHOR_FIELDS = 'email firstName lastName';
+
+/**
+ * Helper function to find a comment on a file
+ */
+const findComment = (file, commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) return null;
+  return Comment.findOne({ _id: commentId, file: file._id });
+};
+
+/**
+ * @desc    Get comment threads on a file (oldest first, replies included)
+ * @route   GET /api/files/:id/comments
+ * @access  Private
+ */
+const getComments = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
+      type: 'file',
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = [{ file: file._id, parent: null }];
+
+    if (req.query.resolved !== undefined) {
+      query.push({ isResolved: req.query.resolved === 'true' });
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      query.push(getCursorCondition(cursor, 'createdAt', 1));
+    }
+
+    // Threads are paginated; each thread comes with all of its replies
+    const threads = await Comment.find({ $and: query })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', AUTHOR_FIELDS)
+      .populate('resolvedBy', AUTHOR_FIELDS);
+
+    const hasMore = threads.length > limit;
+    const page = threads.slice(0, limit);
+
+    const replies = await Comment.find({ parent: { $in: page.map((thread) => thread._id) } })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt') : null,
+      data: page.map((thread) => ({
+        ...thread.toObject(),
+        replies: replies.filter((reply) => reply.parent.equals(thread._id)),
+      })),
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Comment on a file, or reply to a thread (parentId)
+ * @route   POST /api/files/:id/comments
+ * @access  Private
+ */
+const addComment = async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required',
+      });
+    }
+
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'commenter', {
+      type: 'file',
+      isTrashed: false,
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await findComment(file, parentId);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment thread not found',
+        });
+      }
+
+      // Replies always attach to the first comment of the thread
+      if (parent.parent) {
+        parent = await Comment.findById(parent.parent);
+      }
+    }
+
+    const mentioned = await resolveMentions(file, body, req.user._id);
+
+    const comment = await Comment.create({
+      file: file._id,
+      owner: file.owner,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      body,
+      mentions: mentioned.map((user) => user._id),
+    });
+
+    // A reply reopens a resolved thread
+    if (parent && parent.isResolved) {
+      await Comment.updateOne(
+        { _id: parent._id },
+        { isResolved: false, resolvedBy: null, resolvedAt: null }
+      );
+    }
+
+    await notifyMentions(mentioned, { author: req.user, file, comment });
+
+    await comment.populate('author', AUTHOR_FIELDS);
+    await comment.populate('mentions', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: parent ? 'Reply added successfully' : 'Comment added successfully',
+      data: comment,
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding comment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Edit own comment (newly mentioned users are notified)
+ * @route   PATCH /api/files/:id/comments/:commentId
+ * @access  Private
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required',
+      });
+    }
+
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'commenter', {
+      type: 'file',
+      isTrashed: false,
+    });
+
+    const comment = file ? await findComment(file, req.params.commentId) : null;
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments',
+      });
+    }
+
+    const mentioned = await resolveMentions(file, body, req.user._id);
+    const newlyMentioned = mentioned.filter(
+      (user) => !comment.mentions.some((id) => id.equals(user._id))
+    );
+
+    comment.body = body;
+    comment.mentions = mentioned.map((user) => user._id);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await notifyMentions(newlyMentioned, { author: req.user, file, comment });
+
+    await comment.populate('author', AUTHOR_FIELDS);
+    await comment.populate('mentions', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment,
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete own comment. A first comment others replied to is only blanked out,
+ *          so the replies stay; it is removed along with the last reply.
+ * @route   DELETE /api/files/:id/comments/:commentId
+ * @access  Private
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
+      type: 'file',
+    });
+
+    const comment = file ? await findComment(file, req.params.commentId) : null;
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments',
+      });
+    }
+
+    if (!comment.parent && (await Comment.exists({ parent: comment._id }))) {
+      // Replies belong to their authors and stay in the thread
+      comment.body = '[deleted]';
+      comment.mentions = [];
+      comment.deletedAt = new Date();
+      await comment.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Comment deleted successfully, replies were kept',
+        deletedCount: 0,
+      });
+    }
+
+    await comment.deleteOne();
+
+    // A deleted first comment goes away with its last reply
+    if (comment.parent && !(await Comment.exists({ parent: comment.parent }))) {
+      await Comment.deleteOne({ _id: comment.parent, deletedAt: { $ne: null } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: comment.parent ? 'Reply deleted successfully' : 'Comment thread deleted successfully',
+      deletedCount: 1,
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper function to resolve or reopen a thread
+ */
+const setThreadResolved = async (req, res, resolved) => {
+  const { file } = await findAccessibleFile(req.params.id, req.user._id, 'commenter', {
+    type: 'file',
+    isTrashed: false,
+  });
+
+  const comment = file ? await findComment(file, req.params.commentId) : null;
+
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found',
+    });
+  }
+
+  const thread = comment.parent ? await Comment.findById(comment.parent) : comment;
+
+  thread.isResolved = resolved;
+  thread.resolvedBy = resolved ? req.user._id : null;
+  thread.resolvedAt = resolved ? new Date() : null;
+  await thread.save();
+
+  await thread.populate('author', AUTHOR_FIELDS);
+  await thread.populate('resolvedBy', AUTHOR_FIELDS);
+
+  res.status(200).json({
+    success: true,
+    message: resolved ? 'Thread resolved' : 'Thread reopened',
+    data: thread,
+  });
+};
+
+/**
+ * @desc    Resolve a comment thread
+ * @route   POST /api/files/:id/comments/:commentId/resolve
+ * @access  Private
+ */
+const resolveThread = async (req, res) => {
+  try {
+    await setThreadResolved(req, res, true);
+  } catch (error) {
+    console.error('Resolve comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving comment thread',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Reopen a resolved comment thread
+ * @route   POST /api/files/:id/comments/:commentId/reopen
+ * @access  Private
+ */
+const reopenThread = async (req, res) => {
+  try {
+    await setThreadResolved(req, res, false);
+  } catch (error) {
+    console.error('Reopen comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening comment thread',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  resolveThread,
+  reopenThread,
+};
@@ -1,20 +1,58 @@
-const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-const s3Client = require('../config/aws');
+const mongoose = require('mongoose');
 const File = require('../models/File');
-const User = require('../models/User');
+const FileVersion = require('../models/FileVersion');
+const Tag = require('../models/Tag');
+const {
+  updateChildrenPaths,
+  getChildPath,
+  normalizeName,
+  INVALID_NAME_MESSAGE,
+} = require('../utils/fileTree');
+const { getTrashRetentionDays, permanentlyDelete, deleteStoredObjects } = require('../utils/trash');
+const { findAccessibleFile } = require('../utils/permissions');
+const { putObject, getFileUrl } = require('../storage');
+const { pruneVersions } = require('../utils/versions');
+const { refreshThumbnails } = require('../utils/thumbnails');
+const { hashBuffer, isValidHash, acquireBlob, registerBlob, releaseBlobs } = require('../utils/blobs');
+const { reserveStorage, releaseStorage } = require('../utils/quota');
+const { snapshot, recordActivity } = require('../utils/activity');
+const { getCommentCounts } = require('../utils/comments');
+const { adjustFolderStats, addToFolderStats } = require('../utils/folderStats');
+const { getTagPopulate } = require('../utils/tags');
+const {
+  SORT_FIELDS,
+  escapeRegex,
+  parseDate,
+  encodeCursor,
+  decodeCursor,
+  getCursorCondition,
+} = require('../utils/search');
+const { CATEGORIES, getCategoryCondition } = require('../utils/fileCategories');
+const {
+  FileOperationError,
+  moveItem,
+  trashItem,
+  setStarred,
+  copyItem,
+} = require('../utils/fileOperations');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
 /**
  * @desc    Get all files and folders for logged-in user
+ *          (search filters, sorting and cursor pagination switch to search mode)
  * @route   GET /api/files
  * @access  Private
  */
 const getFiles = async (req, res) => {
   try {
     const { folderId, search } = req.query;
-    
+
+    // Any search filter switches to a search across all folders
+    if (req.query.mode === 'search' || SEARCH_PARAMS.some((param) => req.query[param] !== undefined)) {
+      return await searchFiles(req, res);
+    }
+
     let query = {
       owner: req.user._id,
       isTrashed: false,
@@ -22,6 +60,20 @@ const getFiles = async (req, res) => {
 
     // Filter by parent folder
     if (folderId) {
+      // The folder may belong to someone else and be shared with this user
+      const { file: folder } = await findAccessibleFile(folderId, req.user._id, 'viewer', {
+        type: 'folder',
+        isTrashed: false,
+      });
+
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found',
+        });
+      }
+
+      query.owner = folder.owner;
       query.parentFolder = folderId;
     } else {
       query.parentFolder = null; // Root directory
@@ -29,17 +81,23 @@ const getFiles = async (req, res) => {
 
     // Search functionality
     if (search) {
-      query.name = { $regex: search, $options: 'i' };
+      query.name = { $regex: escapeRegex(search), $options: 'i' };
     }
 
     const files = await File.find(query)
       .sort({ type: -1, createdAt: -1 }) // Folders first, then by date
-      .populate('parentFolder', 'name');
+      .populate('parentFolder', 'name')
+      .populate(getTagPopulate(req.user._id));
+
+    const commentCounts = await getCommentCounts(files.map((file) => file._id));
 
     res.status(200).json({
       success: true,
       count: files.length,
-      data: files,
+      data: files.map((file) => ({
+        ...file.toObject(),
+        commentCount: commentCounts.get(file._id.toString()) || 0,
+      })),
     });
   } catch (error) {
     console.error('Get files error:', error);
@@ -51,6 +109,200 @@ const getFiles = async (req, res) => {
   }
 };
 
+// Query parameters that turn getFiles into a search across all folders
+const SEARCH_PARAMS = [
+  'type',
+  'mimeType',
+  'category',
+  'minSize',
+  'maxSize',
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo',
+  'starred',
+  'tag',
+  'location',
+  'sort',
+  'order',
+  'cursor',
+  'limit',
+];
+
+/**
+ * Helper function for getFiles search mode: filters, sorting and cursor pagination
+ */
+const searchFiles = async (req, res) => {
+  const {
+    search,
+    type,
+    mimeType,
+    category,
+    minSize,
+    maxSize,
+    createdFrom,
+    createdTo,
+    updatedFrom,
+    updatedTo,
+    starred,
+    tag,
+    location,
+    sort = 'updated',
+    order = 'desc',
+    cursor,
+  } = req.query;
+
+  // Repeated parameters arrive as arrays
+  const repeated = ['search', ...SEARCH_PARAMS].find(
+    (param) => req.query[param] !== undefined && typeof req.query[param] !== 'string'
+  );
+  if (repeated) {
+    return res.status(400).json({
+      success: false,
+      message: `Query parameter "${repeated}" must be given once`,
+    });
+  }
+
+  const sortField = Object.hasOwn(SORT_FIELDS, sort) ? SORT_FIELDS[sort] : null;
+  if (!sortField) {
+    return res.status(400).json({
+      success: false,
+      message: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`,
+    });
+  }
+  const direction = order === 'asc' ? 1 : -1;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const conditions = [{ owner: req.user._id, isTrashed: false }];
+
+  if (search) {
+    conditions.push({ name: { $regex: escapeRegex(search), $options: 'i' } });
+  }
+
+  if (type) {
+    conditions.push({ type });
+  }
+
+  if (mimeType) {
+    // "image/*" matches every image type
+    conditions.push({
+      mimeType: mimeType.endsWith('/*')
+        ? { $regex: `^${escapeRegex(mimeType.slice(0, -1))}` }
+        : mimeType,
+    });
+  }
+
+  if (category) {
+    const categoryCondition = getCategoryCondition(category);
+    if (!categoryCondition) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${Object.keys(CATEGORIES).join(', ')}`,
+      });
+    }
+    conditions.push({ mimeType: categoryCondition });
+  }
+
+  const sizeRange = {};
+  if (minSize !== undefined) sizeRange.$gte = Number(minSize);
+  if (maxSize !== undefined) sizeRange.$lte = Number(maxSize);
+  if (Object.values(sizeRange).some((value) => isNaN(value))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Size filters must be numbers (in bytes)',
+    });
+  }
+  if (Object.keys(sizeRange).length > 0) {
+    conditions.push({ size: sizeRange });
+  }
+
+  const dateFilters = [
+    ['createdAt', createdFrom, createdTo],
+    ['updatedAt', updatedFrom, updatedTo],
+  ];
+  for (const [field, from, to] of dateFilters) {
+    const range = {};
+    if (parseDate(from)) range.$gte = parseDate(from);
+    if (parseDate(to)) range.$lte = parseDate(to);
+    if (Object.keys(range).length > 0) {
+      conditions.push({ [field]: range });
+    }
+  }
+
+  if (starred !== undefined) {
+    conditions.push({ isStarred: starred === 'true' });
+  }
+
+  // Tags can be given by id or by name
+  if (tag) {
+    const tagQuery = mongoose.isValidObjectId(tag) ? { _id: tag } : { name: String(tag).trim() };
+    const tagDoc = await Tag.findOne({ ...tagQuery, owner: req.user._id }).collation({
+      locale: 'en',
+      strength: 2,
+    });
+
+    if (!tagDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+    conditions.push({ tags: tagDoc._id });
+  }
+
+  // Restrict to a folder subtree using the materialized path
+  if (location) {
+    const { file: folder } = await findAccessibleFile(location, req.user._id, 'viewer', {
+      type: 'folder',
+      isTrashed: false,
+    });
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location folder not found',
+      });
+    }
+
+    conditions[0].owner = folder.owner;
+    conditions.push({ path: { $regex: `^${escapeRegex(`${folder.path}${folder.name}/`)}` } });
+  }
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+      });
+    }
+    conditions.push(getCursorCondition(decoded, sortField, direction));
+  }
+
+  // Fetch one extra item to know whether there is another page
+  const files = await File.find({ $and: conditions })
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1)
+    .populate('parentFolder', 'name')
+    .populate(getTagPopulate(req.user._id));
+
+  const hasMore = files.length > limit;
+  const page = files.slice(0, limit);
+  const commentCounts = await getCommentCounts(page.map((file) => file._id));
+
+  res.status(200).json({
+    success: true,
+    count: page.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+    data: page.map((file) => ({
+      ...file.toObject(),
+      breadcrumbs: file.path.split('/').filter(Boolean),
+      commentCount: commentCounts.get(file._id.toString()) || 0,
+    })),
+  });
+};
+
 /**
  * @desc    Get specific file/folder details
  * @route   GET /api/files/:id
@@ -58,10 +310,7 @@ const getFiles = async (req, res) => {
  */
 const getFileById = async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id,
-    }).populate('parentFolder', 'name');
+    const { file, role } = await findAccessibleFile(req.params.id, req.user._id, 'viewer');
 
     if (!file) {
       return res.status(404).json({
@@ -70,8 +319,12 @@ const getFileById = async (req, res) => {
       });
     }
 
+    await file.populate('parentFolder', 'name');
+    await file.populate(getTagPopulate(req.user._id));
+
     res.status(200).json({
       success: true,
+      role,
       data: file,
     });
   } catch (error) {
@@ -91,22 +344,31 @@ const getFileById = async (req, res) => {
  */
 const createFolder = async (req, res) => {
   try {
-    const { name, parentFolder } = req.body;
+    const { parentFolder } = req.body;
 
-    if (!name) {
+    if (!req.body.name) {
       return res.status(400).json({
         success: false,
         message: 'Folder name is required',
       });
     }
 
+    const name = normalizeName(req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_NAME_MESSAGE,
+      });
+    }
+
     // Build folder path
     let folderPath = '/';
+    let ownerId = req.user._id;
     if (parentFolder) {
-      const parent = await File.findOne({
-        _id: parentFolder,
-        owner: req.user._id,
+      // Editors of a shared folder can create folders inside it
+      const { file: parent } = await findAccessibleFile(parentFolder, req.user._id, 'editor', {
         type: 'folder',
+        isTrashed: false,
       });
 
       if (!parent) {
@@ -117,13 +379,14 @@ const createFolder = async (req, res) => {
       }
 
       folderPath = `${parent.path}${parent.name}/`;
+      ownerId = parent.owner;
     }
 
     // Check if folder already exists in same location
     const existingFolder = await File.findOne({
       name,
       parentFolder: parentFolder || null,
-      owner: req.user._id,
+      owner: ownerId,
       type: 'folder',
       isTrashed: false,
     });
@@ -141,9 +404,12 @@ const createFolder = async (req, res) => {
       type: 'folder',
       path: folderPath,
       parentFolder: parentFolder || null,
-      owner: req.user._id,
+      owner: ownerId,
     });
 
+    await addToFolderStats(folder);
+    await recordActivity(req, 'create', folder);
+
     res.status(201).json({
       success: true,
       message: 'Folder created successfully',
@@ -159,8 +425,126 @@ const createFolder = async (req, res) => {
   }
 };
 
+// Helper function to resolve where uploaded content goes: a new version of an
+// existing file, or a new file in a folder (owned by the folder owner)
+const resolveUploadTarget = async (userId, { name, parentFolder, targetFileId, replace }) => {
+  if (targetFileId) {
+    // Upload a new version of an existing file
+    const { file: targetFile } = await findAccessibleFile(targetFileId, userId, 'editor', {
+      type: 'file',
+      isTrashed: false,
+    });
+
+    if (!targetFile) {
+      throw new FileOperationError(404, 'Target file not found');
+    }
+
+    return { targetFile, ownerId: targetFile.owner, filePath: targetFile.path };
+  }
+
+  const fileName = normalizeName(name);
+  if (!fileName) {
+    throw new FileOperationError(400, INVALID_NAME_MESSAGE);
+  }
+
+  let filePath = '/';
+  let ownerId = userId;
+
+  if (parentFolder) {
+    // Editors of a shared folder can upload into it
+    const { file: parent } = await findAccessibleFile(parentFolder, userId, 'editor', {
+      type: 'folder',
+      isTrashed: false,
+    });
+
+    if (!parent) {
+      throw new FileOperationError(404, 'Parent folder not found');
+    }
+
+    filePath = `${parent.path}${parent.name}/`;
+    ownerId = parent.owner;
+  }
+
+  // "Replace existing" mode: a file with the same name gets a new version
+  let targetFile = null;
+  if (replace === true || replace === 'true') {
+    targetFile = await File.findOne({
+      name: fileName,
+      parentFolder: parentFolder || null,
+      owner: ownerId,
+      type: 'file',
+      isTrashed: false,
+    });
+  }
+
+  return { targetFile, ownerId, filePath };
+};
+
+// Helper function to drop the blob reference taken for content that didn't end up
+// in a file, freeing the object (and its storage) if nothing else uses it
+const releaseUploadedContent = async (ownerId, s3Key, size) => {
+  const { keys, freedBytes } = await releaseBlobs(ownerId, [{ s3Key, size }]);
+  await releaseStorage(ownerId, freedBytes);
+  await deleteStoredObjects(keys);
+};
+
+// Helper function to save stored content as a new file, or as the new current
+// version of targetFile (keeping the previous content as a version)
+const saveUploadedContent = async (userId, target, content) => {
+  const { targetFile, ownerId, filePath } = target;
+
+  if (!targetFile) {
+    // Create file record in database
+    const file = await File.create({
+      name: content.name,
+      type: 'file',
+      mimeType: content.mimeType,
+      size: content.size,
+      path: filePath,
+      s3Key: content.s3Key,
+      contentHash: content.contentHash,
+      parentFolder: content.parentFolder || null,
+      owner: ownerId,
+      lastModifiedBy: userId,
+    });
+    await addToFolderStats(file);
+
+    return { file, oldThumbnails: [] };
+  }
+
+  // Keep the current content as a previous version
+  await FileVersion.create({
+    file: targetFile._id,
+    owner: targetFile.owner,
+    versionNumber: targetFile.versionNumber,
+    s3Key: targetFile.s3Key,
+    contentHash: targetFile.contentHash,
+    mimeType: targetFile.mimeType,
+    size: targetFile.size,
+    uploadedBy: targetFile.lastModifiedBy || targetFile.owner,
+    uploadedAt: targetFile.updatedAt,
+  });
+
+  const oldThumbnails = targetFile.thumbnails;
+  const oldSize = targetFile.size;
+  targetFile.s3Key = content.s3Key;
+  targetFile.contentHash = content.contentHash;
+  targetFile.mimeType = content.mimeType;
+  targetFile.size = content.size;
+  targetFile.versionNumber += 1;
+  targetFile.lastModifiedBy = userId;
+  targetFile.thumbnails = [];
+  targetFile.thumbnailStatus = 'none';
+  const file = await targetFile.save();
+  await adjustFolderStats(file.parentFolder, { size: file.size - oldSize });
+
+  await pruneVersions(file);
+
+  return { file, oldThumbnails };
+};
+
 /**
- * @desc    Upload file to S3
+ * @desc    Upload file to storage (or a new version of an existing file)
  * @route   POST /api/files/upload
  * @access  Private
  */
@@ -173,82 +557,115 @@ const uploadFile = async (req, res) => {
       });
     }
 
-    const { parentFolder } = req.body;
+    const { parentFolder, targetFileId, replace } = req.body;
 
-    // Check user storage limit
-    const user = await User.findById(req.user._id);
-    if (user.storageUsed + req.file.size > user.storageLimit) {
-      return res.status(400).json({
-        success: false,
-        message: 'Storage limit exceeded',
-      });
-    }
+    const target = await resolveUploadTarget(req.user._id, {
+      name: req.file.originalname,
+      parentFolder,
+      targetFileId,
+      replace,
+    });
+    const { targetFile, ownerId } = target;
+    const isOwner = ownerId.equals(req.user._id);
 
-    // Build file path
-    let filePath = '/';
-    if (parentFolder) {
-      const parent = await File.findOne({
-        _id: parentFolder,
-        owner: req.user._id,
-        type: 'folder',
-      });
+    // Content the owner already stores is referenced instead of stored again. Only the
+    // owner's own uploads are matched up front, so editors can't probe the owner's content.
+    const contentHash = hashBuffer(req.file.buffer);
+    const existingBlob = isOwner ? await acquireBlob(ownerId, contentHash) : null;
 
-      if (!parent) {
-        return res.status(404).json({
+    let s3Key;
+    let deduplicated = Boolean(existingBlob);
+
+    if (existingBlob) {
+      s3Key = existingBlob.s3Key;
+    } else {
+      // Reserve storage of the folder owner (who is charged for the file)
+      const reserved = await reserveStorage(ownerId, req.file.size);
+      if (!reserved) {
+        return res.status(400).json({
           success: false,
-          message: 'Parent folder not found',
+          message: 'Storage limit exceeded',
         });
       }
 
-      filePath = `${parent.path}${parent.name}/`;
-    }
+      // Generate unique S3 key
+      const fileExtension = path.extname(req.file.originalname);
+      const fileName = path.basename(req.file.originalname, fileExtension);
+      s3Key = `${ownerId}/${uuidv4()}-${fileName}${fileExtension}`;
 
-    // Generate unique S3 key
-    const fileExtension = path.extname(req.file.originalname);
-    const fileName = path.basename(req.file.originalname, fileExtension);
-    const s3Key = `${req.user._id}/${uuidv4()}-${fileName}${fileExtension}`;
+      // Upload to storage
+      try {
+        await putObject(s3Key, req.file.buffer, {
+          contentType: req.file.mimetype,
+          size: req.file.size,
+        });
+      } catch (storageError) {
+        console.error('Storage upload error:', storageError);
+        await releaseStorage(ownerId, req.file.size);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to upload file to storage',
+          error: storageError.message,
+        });
+      }
 
-    // Upload to S3
-    const uploadParams = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: s3Key,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-    };
+      let registered;
+      try {
+        registered = await registerBlob({
+          owner: ownerId,
+          hash: contentHash,
+          s3Key,
+          size: req.file.size,
+          mimeType: req.file.mimetype,
+        });
+      } catch (error) {
+        await releaseStorage(ownerId, req.file.size);
+        throw error;
+      }
+
+      s3Key = registered.blob.s3Key;
+      if (!registered.created) {
+        // Identical content was stored concurrently; only that copy is charged
+        await releaseStorage(ownerId, req.file.size);
+        deduplicated = true;
+      }
+    }
 
+    let saved;
     try {
-      await s3Client.send(new PutObjectCommand(uploadParams));
-    } catch (s3Error) {
-      console.error('S3 upload error:', s3Error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to upload file to S3',
-        error: s3Error.message,
+      saved = await saveUploadedContent(req.user._id, target, {
+        name: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        s3Key,
+        contentHash,
+        parentFolder,
       });
+    } catch (error) {
+      await releaseUploadedContent(ownerId, s3Key, req.file.size);
+      throw error;
     }
+    const { file, oldThumbnails } = saved;
 
-    // Create file record in database
-    const file = await File.create({
-      name: req.file.originalname,
-      type: 'file',
-      mimeType: req.file.mimetype,
-      size: req.file.size,
-      path: filePath,
-      s3Key: s3Key,
-      parentFolder: parentFolder || null,
-      owner: req.user._id,
-    });
+    await recordActivity(req, targetFile ? 'new-version' : 'upload', file);
 
-    // Update user storage
-    user.storageUsed += req.file.size;
-    await user.save();
+    // Thumbnails are generated in the background
+    refreshThumbnails(file, oldThumbnails);
 
-    res.status(201).json({
+    res.status(targetFile ? 200 : 201).json({
       success: true,
-      message: 'File uploaded successfully',
+      message: targetFile ? 'New version uploaded successfully' : 'File uploaded successfully',
       data: file,
+      deduplicated: isOwner ? deduplicated : undefined,
     });
   } catch (error) {
+    if (error instanceof FileOperationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Upload file error:', error);
     res.status(500).json({
       success: false,
@@ -259,15 +676,100 @@ const uploadFile = async (req, res) => {
 };
 
 /**
- * @desc    Download file from S3
+ * @desc    Create a file (or new version) from content the user already stores,
+ *          identified by its SHA-256 hash, without uploading it again
+ * @route   POST /api/files/upload/hash
+ * @access  Private
+ */
+const uploadByHash = async (req, res) => {
+  try {
+    const { contentHash, name, mimeType, parentFolder, targetFileId, replace } = req.body;
+
+    if (!isValidHash(contentHash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid SHA-256 contentHash is required',
+      });
+    }
+
+    if (!name && !targetFileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'File name is required',
+      });
+    }
+
+    const target = await resolveUploadTarget(req.user._id, {
+      name,
+      parentFolder,
+      targetFileId,
+      replace,
+    });
+    const { targetFile, ownerId } = target;
+
+    // Only the user's own content can be matched, so hashes can't probe other accounts
+    const blob = ownerId.equals(req.user._id)
+      ? await acquireBlob(ownerId, contentHash)
+      : null;
+
+    if (!blob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found, upload the file instead',
+        uploadRequired: true,
+      });
+    }
+
+    let saved;
+    try {
+      saved = await saveUploadedContent(req.user._id, target, {
+        name: name || targetFile.name,
+        mimeType: mimeType || blob.mimeType,
+        size: blob.size,
+        s3Key: blob.s3Key,
+        contentHash: blob.hash,
+        parentFolder,
+      });
+    } catch (error) {
+      await releaseUploadedContent(ownerId, blob.s3Key, blob.size);
+      throw error;
+    }
+    const { file, oldThumbnails } = saved;
+
+    await recordActivity(req, targetFile ? 'new-version' : 'upload', file);
+    refreshThumbnails(file, oldThumbnails);
+
+    res.status(targetFile ? 200 : 201).json({
+      success: true,
+      message: targetFile ? 'New version created from existing content' : 'File created from existing content',
+      data: file,
+      deduplicated: true,
+    });
+  } catch (error) {
+    if (error instanceof FileOperationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Upload by hash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating file from existing content',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Download file from storage
  * @route   GET /api/files/download/:id
  * @access  Private
  */
 const downloadFile = async (req, res) => {
   try {
-    const file = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id,
+    const { file, role } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
       type: 'file',
     });
 
@@ -279,13 +781,14 @@ const downloadFile = async (req, res) => {
     }
 
     // Generate pre-signed URL for download
-    const command = new GetObjectCommand({
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: file.s3Key,
-      ResponseContentDisposition: `attachment; filename="${file.name}"`,
-    });
+    const downloadUrl = await getFileUrl(file, { expiresIn: 3600 }); // 1 hour
 
-    const downloadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 }); // 1 hour
+    // Record the access for the owner's Recent view without touching updatedAt.
+    // Shared viewers opening the file don't count as the owner using it.
+    if (role === 'owner') {
+      await File.updateOne({ _id: file._id }, { lastAccessedAt: new Date() }, { timestamps: false });
+    }
+    await recordActivity(req, 'download', file);
 
     res.status(200).json({
       success: true,
@@ -306,7 +809,7 @@ const downloadFile = async (req, res) => {
 };
 
 /**
- * @desc    Delete file/folder
+ * @desc    Move file/folder to trash
  * @route   DELETE /api/files/:id
  * @access  Private
  */
@@ -315,6 +818,7 @@ const deleteFile = async (req, res) => {
     const file = await File.findOne({
       _id: req.params.id,
       owner: req.user._id,
+      isTrashed: false,
     });
 
     if (!file) {
@@ -324,77 +828,200 @@ const deleteFile = async (req, res) => {
       });
     }
 
-    // If it's a folder, delete all contents recursively
-    if (file.type === 'folder') {
-      await deleteFolderContents(file._id, req.user._id);
+    await trashItem(file);
+    await recordActivity(req, 'trash', file);
+
+    res.status(200).json({
+      success: true,
+      message: `${file.type === 'folder' ? 'Folder' : 'File'} moved to trash`,
+      data: file,
+    });
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting file',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get items in trash
+ * @route   GET /api/files/trash
+ * @access  Private
+ */
+const getTrash = async (req, res) => {
+  try {
+    // Only list items trashed directly, not the contents of trashed folders
+    const files = await File.find({
+      owner: req.user._id,
+      isTrashed: true,
+      trashRoot: null,
+    }).sort({ trashedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: files.length,
+      retentionDays: getTrashRetentionDays(),
+      data: files,
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Restore file/folder from trash
+ * @route   POST /api/files/:id/restore
+ * @access  Private
+ */
+const restoreFile = async (req, res) => {
+  try {
+    const file = await File.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      isTrashed: true,
+      trashRoot: null,
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found in trash',
+      });
     }
 
-    // If it's a file, delete from S3
-    if (file.type === 'file' && file.s3Key) {
-      try {
-        const deleteParams = {
-          Bucket: process.env.AWS_BUCKET_NAME,
-          Key: file.s3Key,
-        };
-        await s3Client.send(new DeleteObjectCommand(deleteParams));
-
-        // Update user storage
-        const user = await User.findById(req.user._id);
-        user.storageUsed = Math.max(0, user.storageUsed - file.size);
-        await user.save();
-      } catch (s3Error) {
-        console.error('S3 delete error:', s3Error);
-        // Continue with database deletion even if S3 fails
-      }
+    // Restore into the original parent, or to root if it is gone
+    let parent = null;
+    if (file.parentFolder) {
+      parent = await File.findOne({
+        _id: file.parentFolder,
+        owner: req.user._id,
+        type: 'folder',
+        isTrashed: false,
+      });
+    }
+
+    const parentFolder = parent ? parent._id : null;
+    const newPath = parent ? `${parent.path}${parent.name}/` : '/';
+
+    const existing = await File.findOne({
+      name: file.name,
+      parentFolder,
+      owner: req.user._id,
+      type: file.type,
+      _id: { $ne: file._id },
+      isTrashed: false,
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file/folder with this name already exists in the restore location',
+      });
+    }
+
+    file.isTrashed = false;
+    file.trashedAt = null;
+    file.parentFolder = parentFolder;
+    file.path = newPath;
+    await file.save();
+
+    if (file.type === 'folder') {
+      await File.updateMany(
+        { owner: req.user._id, trashRoot: file._id },
+        { isTrashed: false, trashedAt: null, trashRoot: null }
+      );
+      await updateChildrenPaths(file._id, newPath + file.name + '/');
     }
 
-    // Delete file/folder from database
-    await File.findByIdAndDelete(file._id);
+    await addToFolderStats(file);
 
     res.status(200).json({
       success: true,
-      message: `${file.type === 'folder' ? 'Folder' : 'File'} deleted successfully`,
+      message: `${file.type === 'folder' ? 'Folder' : 'File'} restored successfully`,
+      data: file,
     });
   } catch (error) {
-    console.error('Delete file error:', error);
+    console.error('Restore file error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting file',
+      message: 'Server error while restoring file',
       error: error.message,
     });
   }
 };
 
 /**
- * Helper function to recursively delete folder contents
+ * @desc    Permanently delete file/folder from trash
+ * @route   DELETE /api/files/:id/permanent
+ * @access  Private
  */
-const deleteFolderContents = async (folderId, userId) => {
-  const contents = await File.find({
-    parentFolder: folderId,
-    owner: userId,
-  });
+const deleteFilePermanently = async (req, res) => {
+  try {
+    const file = await File.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      isTrashed: true,
+      trashRoot: null,
+    });
 
-  for (const item of contents) {
-    if (item.type === 'folder') {
-      await deleteFolderContents(item._id, userId);
-    } else if (item.type === 'file' && item.s3Key) {
-      // Delete from S3
-      try {
-        const deleteParams = {
-          Bucket: process.env.AWS_BUCKET_NAME,
-          Key: item.s3Key,
-        };
-        await s3Client.send(new DeleteObjectCommand(deleteParams));
-
-        // Update user storage
-        const user = await User.findById(userId);
-        user.storageUsed = Math.max(0, user.storageUsed - item.size);
-        await user.save();
-      } catch (s3Error) {
-        console.error('S3 delete error:', s3Error);
-      }
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found in trash',
+      });
     }
-    await File.findByIdAndDelete(item._id);
+
+    await permanentlyDelete([file], req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${file.type === 'folder' ? 'Folder' : 'File'} permanently deleted`,
+    });
+  } catch (error) {
+    console.error('Permanent delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while permanently deleting file',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Permanently delete everything in trash
+ * @route   DELETE /api/files/trash
+ * @access  Private
+ */
+const emptyTrash = async (req, res) => {
+  try {
+    const items = await File.find({
+      owner: req.user._id,
+      isTrashed: true,
+      trashRoot: null,
+    });
+
+    const deletedCount = await permanentlyDelete(items, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trash emptied successfully',
+      deletedCount,
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while emptying trash',
+      error: error.message,
+    });
   }
 };
 
@@ -405,19 +1032,22 @@ const deleteFolderContents = async (folderId, userId) => {
  */
 const updateFile = async (req, res) => {
   try {
-    const { name } = req.body;
+    if (!req.body.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required',
+      });
+    }
 
+    const name = normalizeName(req.body.name);
     if (!name) {
       return res.status(400).json({
         success: false,
-        message: 'Name is required',
+        message: INVALID_NAME_MESSAGE,
       });
     }
 
-    const file = await File.findOne({
-      _id: req.params.id,
-      owner: req.user._id,
-    });
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'editor');
 
     if (!file) {
       return res.status(404).json({
@@ -430,7 +1060,7 @@ const updateFile = async (req, res) => {
     const existing = await File.findOne({
       name,
       parentFolder: file.parentFolder,
-      owner: req.user._id,
+      owner: file.owner,
       type: file.type,
       _id: { $ne: file._id },
       isTrashed: false,
@@ -443,9 +1073,19 @@ const updateFile = async (req, res) => {
       });
     }
 
+    const before = snapshot(file);
     file.name = name;
     await file.save();
 
+    if (before.name !== name) {
+      // Everything inside a renamed folder has the folder name in its path
+      if (file.type === 'folder') {
+        await updateChildrenPaths(file._id, getChildPath(file));
+      }
+
+      await recordActivity(req, 'rename', file, { before });
+    }
+
     res.status(200).json({
       success: true,
       message: `${file.type === 'folder' ? 'Folder' : 'File'} updated successfully`,
@@ -481,8 +1121,8 @@ const toggleStarred = async (req, res) => {
     }
 
     // Toggle the starred status
-    file.isStarred = !file.isStarred;
-    await file.save();
+    await setStarred(file, !file.isStarred);
+    await recordActivity(req, file.isStarred ? 'star' : 'unstar', file);
 
     res.status(200).json({
       success: true,
@@ -507,13 +1147,9 @@ const toggleStarred = async (req, res) => {
 const moveFile = async (req, res) => {
   try {
     const { targetFolderId } = req.body;
-    const fileId = req.params.id;
 
     // Find the file/folder to move
-    const file = await File.findOne({
-      _id: fileId,
-      owner: req.user._id,
-    });
+    const { file, role } = await findAccessibleFile(req.params.id, req.user._id, 'editor');
 
     if (!file) {
       return res.status(404).json({
@@ -522,65 +1158,9 @@ const moveFile = async (req, res) => {
       });
     }
 
-    // Validate target folder (if not moving to root)
-    let targetFolder = null;
-    let newPath = '/';
-
-    if (targetFolderId) {
-      targetFolder = await File.findOne({
-        _id: targetFolderId,
-        owner: req.user._id,
-        type: 'folder',
-        isTrashed: false,
-      });
-
-      if (!targetFolder) {
-        return res.status(404).json({
-          success: false,
-          message: 'Target folder not found',
-        });
-      }
-
-      // Prevent moving a folder into itself or its own subfolder
-      if (file.type === 'folder') {
-        const isDescendant = await checkIfDescendant(targetFolderId, fileId);
-        if (fileId === targetFolderId || isDescendant) {
-          return res.status(400).json({
-            success: false,
-            message: 'Cannot move a folder into itself or its subfolder',
-          });
-        }
-      }
-
-      newPath = `${targetFolder.path}${targetFolder.name}/`;
-    }
-
-    // Check if file/folder with same name exists in target location
-    const existing = await File.findOne({
-      name: file.name,
-      parentFolder: targetFolderId || null,
-      owner: req.user._id,
-      type: file.type,
-      _id: { $ne: file._id },
-      isTrashed: false,
-    });
-
-    if (existing) {
-      return res.status(400).json({
-        success: false,
-        message: 'A file/folder with this name already exists in the target location',
-      });
-    }
-
-    // Update file/folder parent and path
-    file.parentFolder = targetFolderId || null;
-    file.path = newPath;
-    await file.save();
-
-    // If it's a folder, update paths of all children recursively
-    if (file.type === 'folder') {
-      await updateChildrenPaths(file._id, newPath + file.name + '/');
-    }
+    const before = snapshot(file);
+    await moveItem(file, role, targetFolderId || null, req.user._id);
+    await recordActivity(req, 'move', file, { before });
 
     res.status(200).json({
       success: true,
@@ -588,6 +1168,13 @@ const moveFile = async (req, res) => {
       data: file,
     });
   } catch (error) {
+    if (error instanceof FileOperationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error('Move file error:', error);
     res.status(500).json({
       success: false,
@@ -598,34 +1185,46 @@ const moveFile = async (req, res) => {
 };
 
 /**
- * Helper function to check if targetId is a descendant of folderId
+ * @desc    Copy file/folder (folders are copied with all their contents)
+ * @route   POST /api/files/:id/copy
+ * @access  Private
  */
-const checkIfDescendant = async (targetId, folderId) => {
-  let current = await File.findById(targetId);
-  
-  while (current && current.parentFolder) {
-    if (current.parentFolder.toString() === folderId.toString()) {
-      return true;
-    }
-    current = await File.findById(current.parentFolder);
-  }
-  
-  return false;
-};
+const copyFile = async (req, res) => {
+  try {
+    const { targetFolderId, name } = req.body;
 
-/**
- * Helper function to recursively update paths of all children
- */
-const updateChildrenPaths = async (folderId, newParentPath) => {
-  const children = await File.find({ parentFolder: folderId });
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
+      isTrashed: false,
+    });
 
-  for (const child of children) {
-    child.path = newParentPath;
-    await child.save();
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    const copy = await copyItem(file, targetFolderId || null, name, req.user._id);
 
-    if (child.type === 'folder') {
-      await updateChildrenPaths(child._id, newParentPath + child.name + '/');
+    res.status(201).json({
+      success: true,
+      message: `${file.type === 'folder' ? 'Folder' : 'File'} copied successfully`,
+      data: copy,
+    });
+  } catch (error) {
+    if (error instanceof FileOperationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
     }
+
+    console.error('Copy file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while copying file',
+      error: error.message,
+    });
   }
 };
 
@@ -634,9 +1233,15 @@ module.exports = {
   getFileById,
   createFolder,
   uploadFile,
+  uploadByHash,
   downloadFile,
   deleteFile,
+  getTrash,
+  restoreFile,
+  deleteFilePermanently,
+  emptyTrash,
   updateFile,
   toggleStarred,
   moveFile, // NEW: Export moveFile function
+  copyFile,
 };
\ No newline at end of file
@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const { getFileUrl } = require('../storage');
+const { generateShareLinkToken } = require('../utils/tokenGenerator');
+
+/**
+ * @desc    Create a public share link for a file/folder
+ * @route   POST /api/files/:id/links
+ * @access  Private (owner)
+ */
+const createLink = async (req, res) => {
+  try {
+    const { expiresAt, password, maxDownloads, mode } = req.body;
+
+    const file = await File.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      isTrashed: false,
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    if (mode && !['view', 'download'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be either view or download',
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry date must be a valid date in the future',
+        });
+      }
+    }
+
+    let downloadLimit = null;
+    if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== '') {
+      downloadLimit = Number(maxDownloads);
+      if (!Number.isInteger(downloadLimit) || downloadLimit < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Max downloads must be a whole number of at least 1',
+        });
+      }
+    }
+
+    if (password && password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    const link = await ShareLink.create({
+      token: generateShareLinkToken(),
+      file: file._id,
+      owner: req.user._id,
+      mode: mode || 'download',
+      password: password || null,
+      expiresAt: expiry,
+      maxDownloads: downloadLimit,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: link,
+    });
+  } catch (error) {
+    console.error('Create link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating share link',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    List share links created by the logged-in user
+ * @route   GET /api/files/links
+ * @route   GET /api/files/:id/links
+ * @access  Private (owner)
+ */
+const getLinks = async (req, res) => {
+  try {
+    const query = { owner: req.user._id };
+
+    if (req.params.id) {
+      query.file = req.params.id;
+    }
+
+    const links = await ShareLink.find(query)
+      .sort({ createdAt: -1 })
+      .populate('file', 'name type');
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links,
+    });
+  } catch (error) {
+    console.error('Get links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching share links',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a share link
+ * @route   DELETE /api/files/links/:linkId
+ * @access  Private (owner)
+ */
+const revokeLink = async (req, res) => {
+  try {
+    const link = await ShareLink.findOneAndDelete({
+      _id: req.params.linkId,
+      owner: req.user._id,
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking share link',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper function to load a link by token and check it can be used.
+ * Sends the error response itself and returns null when the link is unusable.
+ */
+const resolveLink = async (req, res) => {
+  const link = await ShareLink.findOne({ token: req.params.token })
+    .select('+password')
+    .populate('file');
+
+  if (!link || !link.file || link.file.isTrashed) {
+    res.status(404).json({
+      success: false,
+      message: 'Share link not found',
+    });
+    return null;
+  }
+
+  if (link.isExpired()) {
+    res.status(410).json({
+      success: false,
+      message: 'Share link has expired',
+    });
+    return null;
+  }
+
+  // Password is sent as a header so it doesn't end up in URLs or logs
+  const isPasswordMatch = await link.comparePassword(req.headers['x-link-password']);
+  if (!isPasswordMatch) {
+    res.status(401).json({
+      success: false,
+      passwordRequired: true,
+      message: 'This link is password protected',
+    });
+    return null;
+  }
+
+  return link;
+};
+
+/**
+ * Helper function to find an item inside the shared file/folder
+ */
+const findSharedItem = async (link, itemId, filter = {}) => {
+  const root = link.file;
+
+  if (!itemId || itemId === root._id.toString()) {
+    return File.findOne({ _id: root._id, ...filter });
+  }
+
+  if (!mongoose.isValidObjectId(itemId)) return null;
+
+  const item = await File.findOne({
+    _id: itemId,
+    owner: root.owner,
+    isTrashed: false,
+    ...filter,
+  });
+
+  if (!item) return null;
+
+  // Walk up the tree to make sure the item is inside the shared folder
+  let current = item;
+  while (current && current.parentFolder) {
+    if (current.parentFolder.toString() === root._id.toString()) {
+      return item;
+    }
+    current = await File.findById(current.parentFolder);
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Open a public share link (folder contents are listed)
+ * @route   GET /api/public/:token
+ * @access  Public
+ */
+const openLink = async (req, res) => {
+  try {
+    const link = await resolveLink(req, res);
+    if (!link) return;
+
+    const item = await findSharedItem(link, req.query.folderId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    let contents;
+    if (item.type === 'folder') {
+      contents = await File.find({
+        parentFolder: item._id,
+        owner: item.owner,
+        isTrashed: false,
+      })
+        .select('name type mimeType size createdAt updatedAt')
+        .sort({ type: -1, name: 1 });
+    }
+
+    await ShareLink.updateOne(
+      { _id: link._id },
+      { $inc: { accessCount: 1 }, lastAccessedAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        mode: link.mode,
+        expiresAt: link.expiresAt,
+        item: {
+          _id: item._id,
+          name: item.name,
+          type: item.type,
+          mimeType: item.mimeType,
+          size: item.size,
+        },
+        contents,
+      },
+    });
+  } catch (error) {
+    console.error('Open link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening share link',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a pre-signed URL for a file behind a public share link
+ * @route   GET /api/public/:token/download
+ * @route   GET /api/public/:token/view
+ * @access  Public
+ */
+const getLinkFileUrl = (disposition) => async (req, res) => {
+  try {
+    const link = await resolveLink(req, res);
+    if (!link) return;
+
+    if (disposition === 'attachment' && link.mode !== 'download') {
+      return res.status(403).json({
+        success: false,
+        message: 'This link is view-only',
+      });
+    }
+
+    const file = await findSharedItem(link, req.query.fileId, { type: 'file' });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const update = { $inc: { accessCount: 1 }, lastAccessedAt: new Date() };
+    const condition = { _id: link._id };
+
+    // Count downloads atomically so the limit can't be exceeded
+    if (disposition === 'attachment') {
+      update.$inc.downloadCount = 1;
+      if (link.maxDownloads) {
+        condition.downloadCount = { $lt: link.maxDownloads };
+      }
+    }
+
+    const updated = await ShareLink.findOneAndUpdate(condition, update);
+
+    if (!updated) {
+      return res.status(410).json({
+        success: false,
+        message: 'Download limit reached for this link',
+      });
+    }
+
+    const url = await getFileUrl(file, { disposition, expiresIn: 3600 }); // 1 hour
+
+    res.status(200).json({
+      success: true,
+      data: {
+        [disposition === 'attachment' ? 'downloadUrl' : 'viewUrl']: url,
+        fileName: file.name,
+        fileSize: file.size,
+      },
+    });
+  } catch (error) {
+    console.error('Link file URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shared file',
+      error: error.message,
+    });
+  }
+};
+
+const downloadLinkFile = getLinkFileUrl('attachment');
+const viewLinkFile = getLinkFileUrl('inline');
+
+module.exports = {
+  createLink,
+  getLinks,
+  revokeLink,
+  openLink,
+  downloadLinkFile,
+  viewLinkFile,
+};
@@ -0,0 +1,188 @@
+const { StringDecoder } = require('string_decoder');
+const { findAccessibleFile } = require('../utils/permissions');
+const { pickThumbnailSize, queueThumbnails, isThumbnailPending } = require('../utils/thumbnails');
+const { getObjectStream, getSignedUrl, getFileUrl } = require('../storage');
+const { isActiveContentType } = require('../utils/fileCategories');
+
+/**
+ * Helper function to classify how a browser can render a MIME type
+ * @returns {string|null} 'image', 'pdf', 'text', 'audio', 'video' or null
+ */
+const getPreviewKind = (mimeType) => {
+  if (!mimeType) return null;
+  // HTML and SVG are only ever shown as source text (SVG images get raster thumbnails)
+  if (isActiveContentType(mimeType)) return 'text';
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/') || mimeType === 'application/json') return 'text';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType.startsWith('video/')) return 'video';
+  return null;
+};
+
+/**
+ * Helper function to read the first bytes of a stored object as UTF-8 text
+ */
+const readTextStart = async (s3Key, maxBytes) => {
+  const stream = await getObjectStream(s3Key);
+  const decoder = new StringDecoder('utf8');
+  let content = '';
+  let bytesRead = 0;
+
+  for await (const chunk of stream) {
+    const slice = chunk.subarray(0, maxBytes - bytesRead);
+    content += decoder.write(slice);
+    bytesRead += slice.length;
+
+    if (bytesRead >= maxBytes) {
+      stream.destroy();
+      break;
+    }
+  }
+
+  return content;
+};
+
+/**
+ * @desc    Get a thumbnail of an image file
+ * @route   GET /api/files/:id/thumbnail?size=
+ * @access  Private
+ */
+const getThumbnail = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
+      type: 'file',
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    if (!file.isImage()) {
+      return res.status(404).json({
+        success: false,
+        message: 'No thumbnail available for this file',
+      });
+    }
+
+    if (file.thumbnailStatus === 'failed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail could not be generated for this file',
+      });
+    }
+
+    const size = pickThumbnailSize(req.query.size);
+    const thumbnail = file.thumbnails.find((item) => item.size === size);
+
+    if (file.thumbnailStatus !== 'ready' || !thumbnail) {
+      // Files copied or uploaded before thumbnails existed get them on first request,
+      // and ones whose generation was lost are queued again
+      if (!isThumbnailPending(file)) {
+        queueThumbnails(file);
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'Thumbnail is being generated',
+      });
+    }
+
+    const thumbnailUrl = await getSignedUrl(thumbnail.s3Key, {
+      fileName: `${file.name}-${size}.webp`,
+      disposition: 'inline',
+      expiresIn: 3600, // 1 hour
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        thumbnailUrl,
+        size,
+      },
+    });
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching thumbnail',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Preview a file in the browser (inline URL, or the start of small text files)
+ * @route   GET /api/files/:id/preview
+ * @access  Private
+ */
+const getPreview = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
+      type: 'file',
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const kind = getPreviewKind(file.mimeType);
+
+    if (!kind) {
+      return res.status(415).json({
+        success: false,
+        message: 'Preview is not available for this file type',
+      });
+    }
+
+    const maxTextSize = (parseInt(process.env.PREVIEW_TEXT_MAX_KB, 10) || 1024) * 1024;
+
+    // Markup is returned as text however large it is, never as an inline URL
+    if (kind === 'text' && (file.size <= maxTextSize || isActiveContentType(file.mimeType))) {
+      const previewBytes = (parseInt(process.env.PREVIEW_TEXT_KB, 10) || 64) * 1024;
+      const content = await readTextStart(file.s3Key, previewBytes);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          kind,
+          content,
+          truncated: file.size > previewBytes,
+          fileName: file.name,
+          fileSize: file.size,
+        },
+      });
+    }
+
+    const previewUrl = await getFileUrl(file, { disposition: 'inline', expiresIn: 3600 }); // 1 hour
+
+    res.status(200).json({
+      success: true,
+      data: {
+        kind,
+        previewUrl,
+        mimeType: file.mimeType,
+        fileName: file.name,
+        fileSize: file.size,
+      },
+    });
+  } catch (error) {
+    console.error('Get preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching preview',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getThumbnail,
+  getPreview,
+};
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { revokeSessions } = require('../utils/sessions');
+
+/**
+ * @desc    List active sessions (devices) of logged-in user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one session (signs that device out)
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    const revoked = await revokeSessions(req.user._id, { _id: sessionId }, 'revoked');
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revoke all sessions except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.user._id, { _id: { $ne: req.sessionId } }, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      count: revoked,
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
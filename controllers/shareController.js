@@ -0,0 +1,260 @@
+const File = require('../models/File');
+const User = require('../models/User');
+const Permission = require('../models/Permission');
+
+const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+
+/**
+ * Helper function to find a file/folder owned by the current user
+ */
+const findOwnedFile = (fileId, userId) => {
+  return File.findOne({
+    _id: fileId,
+    owner: userId,
+    isTrashed: false,
+  });
+};
+
+/**
+ * @desc    Share file/folder with another user
+ * @route   POST /api/files/:id/shares
+ * @access  Private (owner)
+ */
+const addShare = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and role are required',
+      });
+    }
+
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${SHARE_ROLES.join(', ')}`,
+      });
+    }
+
+    const file = await findOwnedFile(req.params.id, req.user._id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    const grantee = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!grantee) {
+      return res.status(404).json({
+        success: false,
+        message: 'No registered user found with this email',
+      });
+    }
+
+    if (grantee._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot share an item with yourself',
+      });
+    }
+
+    const existing = await Permission.findOne({ file: file._id, grantee: grantee._id });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item is already shared with this user',
+      });
+    }
+
+    const share = await Permission.create({
+      file: file._id,
+      owner: file.owner,
+      grantee: grantee._id,
+      role,
+      grantedBy: req.user._id,
+    });
+
+    await share.populate('grantee', 'email firstName lastName');
+
+    res.status(201).json({
+      success: true,
+      message: `Shared with ${grantee.email}`,
+      data: share,
+    });
+  } catch (error) {
+    console.error('Add share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sharing file',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    List users a file/folder is shared with
+ * @route   GET /api/files/:id/shares
+ * @access  Private (owner)
+ */
+const getShares = async (req, res) => {
+  try {
+    const file = await findOwnedFile(req.params.id, req.user._id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    const shares = await Permission.find({ file: file._id })
+      .sort({ createdAt: 1 })
+      .populate('grantee', 'email firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      count: shares.length,
+      data: shares,
+    });
+  } catch (error) {
+    console.error('Get shares error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shares',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Change a user's role on a shared file/folder
+ * @route   PATCH /api/files/:id/shares/:shareId
+ * @access  Private (owner)
+ */
+const updateShare = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${SHARE_ROLES.join(', ')}`,
+      });
+    }
+
+    const share = await Permission.findOne({
+      _id: req.params.shareId,
+      file: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found',
+      });
+    }
+
+    share.role = role;
+    await share.save();
+    await share.populate('grantee', 'email firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      message: 'Share updated successfully',
+      data: share,
+    });
+  } catch (error) {
+    console.error('Update share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating share',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a user's access to a file/folder
+ * @route   DELETE /api/files/:id/shares/:shareId
+ * @access  Private (owner)
+ */
+const removeShare = async (req, res) => {
+  try {
+    const share = await Permission.findOneAndDelete({
+      _id: req.params.shareId,
+      file: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Access revoked successfully',
+    });
+  } catch (error) {
+    console.error('Remove share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking access',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get files and folders shared with the logged-in user
+ * @route   GET /api/files/shared-with-me
+ * @access  Private
+ */
+const getSharedWithMe = async (req, res) => {
+  try {
+    const shares = await Permission.find({ grantee: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('file')
+      .populate('owner', 'email firstName lastName');
+
+    // Skip grants whose item was trashed or removed
+    const data = shares
+      .filter((share) => share.file && !share.file.isTrashed)
+      .map((share) => ({
+        ...share.file.toObject(),
+        role: share.role,
+        sharedBy: share.owner,
+        sharedAt: share.createdAt,
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error('Get shared with me error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shared files',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  addShare,
+  getShares,
+  updateShare,
+  removeShare,
+  getSharedWithMe,
+};
@@ -0,0 +1,114 @@
+const { pipeline } = require('stream/promises');
+const contentDisposition = require('content-disposition');
+const storage = require('../storage');
+const { isActiveContentType } = require('../utils/fileCategories');
+
+/**
+ * Helper function to reject requests when the local driver isn't in use
+ * or the URL signature doesn't check out
+ */
+const checkLocalRequest = (req, res) => {
+  if (storage.driverName !== 'local') {
+    res.status(404).json({
+      success: false,
+      message: 'Not found',
+    });
+    return false;
+  }
+
+  if (!storage.verifySignature(req.method, req.query)) {
+    res.status(403).json({
+      success: false,
+      message: 'Invalid or expired link',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * @desc    Serve a file from local storage through a signed URL
+ * @route   GET /api/storage/local
+ * @access  Public (HMAC-signed URL)
+ */
+const serveLocalFile = async (req, res) => {
+  try {
+    if (!checkLocalRequest(req, res)) return;
+
+    const { key, disposition, filename } = req.query;
+    const object = await storage.headObject(key);
+
+    if (!object) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    // Content types come from the uploader; markup is never rendered from the API origin
+    const inline = disposition === 'inline';
+    const contentType =
+      inline && isActiveContentType(object.contentType) ? 'text/plain; charset=utf-8' : object.contentType;
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Length': object.size,
+      'X-Content-Type-Options': 'nosniff',
+      // Encodes names that don't fit in a plain header (quotes, non-Latin-1)
+      'Content-Disposition': contentDisposition(filename, {
+        type: inline ? 'inline' : 'attachment',
+      }),
+    });
+
+    await pipeline(await storage.getObjectStream(key), res);
+  } catch (error) {
+    console.error('Serve local file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while reading file',
+        error: error.message,
+      });
+    }
+  }
+};
+
+/**
+ * @desc    Receive a direct upload into local storage through a signed URL
+ * @route   PUT /api/storage/local
+ * @access  Public (HMAC-signed URL)
+ */
+const receiveLocalUpload = async (req, res) => {
+  try {
+    if (!checkLocalRequest(req, res)) return;
+
+    const { key, size, contentType } = req.query;
+
+    if (Number(req.headers['content-length']) !== Number(size)) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload must be exactly ${size} bytes`,
+      });
+    }
+
+    await storage.putObject(key, req, { contentType, size: Number(size) });
+
+    res.status(200).json({
+      success: true,
+      message: 'File stored successfully',
+    });
+  } catch (error) {
+    console.error('Receive local upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while storing file',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  serveLocalFile,
+  receiveLocalUpload,
+};
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const File = require('../models/File');
+const { findOwnTags, getTagPopulate } = require('../utils/tags');
+const { setTags } = require('../utils/fileOperations');
+
+/**
+ * Helper function to find a tag of the logged-in user
+ */
+const findOwnTag = (id, userId) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Tag.findOne({ _id: id, owner: userId });
+};
+
+/**
+ * @desc    Get tags of logged-in user with the number of files/folders carrying each
+ * @route   GET /api/tags
+ * @access  Private
+ */
+const getTags = async (req, res) => {
+  try {
+    const tags = await Tag.find({ owner: req.user._id })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 });
+
+    const counts = await File.aggregate([
+      { $match: { owner: req.user._id, isTrashed: false, tags: { $in: tags.map((tag) => tag._id) } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+    ]);
+    const countByTag = new Map(counts.map((item) => [item._id.toString(), item.count]));
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags.map((tag) => ({
+        ...tag.toObject(),
+        fileCount: countByTag.get(tag._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a tag
+ * @route   POST /api/tags
+ * @access  Private
+ */
+const createTag = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tag name is required',
+      });
+    }
+
+    const tag = await Tag.create({
+      owner: req.user._id,
+      name,
+      color,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag,
+    });
+  } catch (error) {
+    // Names are unique per user (ignoring case)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A tag with this name already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tag',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Rename or recolor a tag (every tagged file shows the change, as files reference the tag)
+ * @route   PATCH /api/tags/:id
+ * @access  Private
+ */
+const updateTag = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const tag = await findOwnTag(req.params.id, req.user._id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    if (name !== undefined) tag.name = name;
+    if (color !== undefined) tag.color = color;
+    await tag.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag,
+    });
+  } catch (error) {
+    // Names are unique per user (ignoring case)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A tag with this name already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tag',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a tag and remove it from every file/folder carrying it
+ * @route   DELETE /api/tags/:id
+ * @access  Private
+ */
+const deleteTag = async (req, res) => {
+  try {
+    const tag = await findOwnTag(req.params.id, req.user._id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    const { modifiedCount } = await File.updateMany(
+      { owner: req.user._id, tags: tag._id },
+      { $pull: { tags: tag._id } }
+    );
+    await tag.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      filesUpdated: modifiedCount,
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tag',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Attach tags to a file/folder
+ * @route   POST /api/files/:id/tags
+ * @access  Private
+ */
+const attachTags = async (req, res) => {
+  try {
+    const { tagIds } = req.body;
+
+    if (!Array.isArray(tagIds) || tagIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the ids of the tags',
+      });
+    }
+
+    // Like starring, tags organize the owner's own drive
+    const file = mongoose.isValidObjectId(req.params.id)
+      ? await File.findOne({ _id: req.params.id, owner: req.user._id })
+      : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    const { tags, invalidIds } = await findOwnTags(req.user._id, tagIds);
+
+    if (invalidIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some tags were not found',
+        invalidIds,
+      });
+    }
+
+    await setTags(file, tags.map((tag) => tag._id), true);
+    await file.populate(getTagPopulate(req.user._id));
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags attached successfully',
+      data: file,
+    });
+  } catch (error) {
+    console.error('Attach tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while attaching tags',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Detach a tag from a file/folder
+ * @route   DELETE /api/files/:id/tags/:tagId
+ * @access  Private
+ */
+const detachTag = async (req, res) => {
+  try {
+    const file = mongoose.isValidObjectId(req.params.id)
+      ? await File.findOne({ _id: req.params.id, owner: req.user._id })
+      : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    const tag = await findOwnTag(req.params.tagId, req.user._id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found',
+      });
+    }
+
+    await setTags(file, [tag._id], false);
+    await file.populate(getTagPopulate(req.user._id));
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag detached successfully',
+      data: file,
+    });
+  } catch (error) {
+    console.error('Detach tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while detaching tag',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  attachTags,
+  detachTag,
+};
@@ -0,0 +1,192 @@
+const File = require('../models/File');
+const Permission = require('../models/Permission');
+const { findAccessibleFile } = require('../utils/permissions');
+const { getChildPath, getAncestors } = require('../utils/fileTree');
+const { escapeRegex } = require('../utils/search');
+
+const MAX_TREE_DEPTH = 10;
+
+/**
+ * @desc    Find a file/folder in the user's drive by its full path
+ *          (a trailing "/" only matches folders, e.g. /Projects/2026/)
+ * @route   GET /api/files/resolve?path=/Projects/2026/specs.pdf
+ * @access  Private
+ */
+const resolvePath = async (req, res) => {
+  try {
+    const { path: fullPath } = req.query;
+
+    const segments = String(fullPath || '').split('/').filter(Boolean);
+
+    if (!fullPath || !fullPath.startsWith('/') || segments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an absolute path like /Projects/2026/specs.pdf',
+      });
+    }
+
+    const name = segments.pop();
+    const parentPath = segments.length > 0 ? `/${segments.join('/')}/` : '/';
+
+    const query = {
+      owner: req.user._id,
+      path: parentPath,
+      name,
+      isTrashed: false,
+    };
+    if (fullPath.endsWith('/')) {
+      query.type = 'folder';
+    }
+
+    // A file and a folder may share a name; the file wins unless the path ends with "/"
+    const file = await File.findOne(query).sort({ type: 1 });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'No file or folder at this path',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: file,
+    });
+  } catch (error) {
+    console.error('Resolve path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving path',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the breadcrumbs of a file/folder (ancestor folders, then the item itself).
+ *          On shared items the trail starts at the highest folder shared with the user.
+ * @route   GET /api/files/:id/breadcrumbs
+ * @access  Private
+ */
+const getBreadcrumbs = async (req, res) => {
+  try {
+    const { file, role } = await findAccessibleFile(req.params.id, req.user._id, 'viewer');
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File/Folder not found',
+      });
+    }
+
+    let ancestors = await getAncestors(file);
+
+    if (role !== 'owner') {
+      // Folders above the shared one stay hidden
+      const grants = await Permission.find({
+        file: { $in: [...ancestors.map((ancestor) => ancestor._id), file._id] },
+        grantee: req.user._id,
+      }).distinct('file');
+      const granted = new Set(grants.map(String));
+
+      const sharedIndex = ancestors.findIndex((ancestor) => granted.has(ancestor._id.toString()));
+      ancestors = sharedIndex === -1 ? [] : ancestors.slice(sharedIndex);
+    }
+
+    res.status(200).json({
+      success: true,
+      root: role === 'owner' ? 'my-drive' : 'shared-with-me',
+      data: [
+        ...ancestors.map((ancestor) => ({ _id: ancestor._id, name: ancestor.name, type: 'folder' })),
+        { _id: file._id, name: file.name, type: file.type },
+      ],
+    });
+  } catch (error) {
+    console.error('Get breadcrumbs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching breadcrumbs',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the nested folder hierarchy (for the sidebar), N levels deep
+ *          from the root or from a folder (folderId)
+ * @route   GET /api/files/tree?depth=N
+ * @access  Private
+ */
+const getFolderTree = async (req, res) => {
+  try {
+    const depth = Math.min(Math.max(parseInt(req.query.depth, 10) || 1, 1), MAX_TREE_DEPTH);
+
+    let root = null;
+    let ownerId = req.user._id;
+
+    if (req.query.folderId) {
+      const { file: folder } = await findAccessibleFile(req.query.folderId, req.user._id, 'viewer', {
+        type: 'folder',
+        isTrashed: false,
+      });
+
+      if (!folder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found',
+        });
+      }
+
+      root = folder;
+      ownerId = folder.owner;
+    }
+
+    // One query for every level; the extra level only tells whether a folder has subfolders
+    const basePath = getChildPath(root);
+    const folders = await File.find({
+      owner: ownerId,
+      type: 'folder',
+      isTrashed: false,
+      path: { $regex: `^${escapeRegex(basePath)}([^/]+/){0,${depth}}$` },
+    })
+      .select('name path parentFolder isStarred')
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 })
+      .lean();
+
+    const childrenByParent = new Map();
+    for (const folder of folders) {
+      const key = String(folder.parentFolder);
+      if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+      childrenByParent.get(key).push(folder);
+    }
+
+    const buildLevel = (parentId, level) => {
+      return (childrenByParent.get(String(parentId)) || []).map((folder) => ({
+        ...folder,
+        hasChildren: childrenByParent.has(folder._id.toString()),
+        children: level < depth ? buildLevel(folder._id, level + 1) : undefined,
+      }));
+    };
+
+    res.status(200).json({
+      success: true,
+      depth,
+      root: root ? { _id: root._id, name: root.name, path: root.path } : null,
+      data: buildLevel(root ? root._id : null, 1),
+    });
+  } catch (error) {
+    console.error('Get folder tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching folder tree',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  resolvePath,
+  getBreadcrumbs,
+  getFolderTree,
+};
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { buildLoginResponse, verifyChallengeToken } = require('../utils/sessions');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Failed codes allowed before the account's second step is locked. The count spans
+// logins, so repeating the password step doesn't buy more guesses.
+const MAX_FAILED_ATTEMPTS = 5;
+
+// The lock doubles with every further round of failures, up to a day
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Helper function to get how long the account is locked after a number of failures
+const getLockMinutes = (failedAttempts) => {
+  const rounds = Math.floor(failedAttempts / MAX_FAILED_ATTEMPTS);
+  return Math.min(BASE_LOCK_MINUTES * 2 ** (rounds - 1), MAX_LOCK_MINUTES);
+};
+
+// Helper function to hash a recovery code (ignoring case and dashes)
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Helper function to generate one-time recovery codes, e.g. "3f9a1-c07be"
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * @desc    Start two-factor enrollment (returns a secret to add to an authenticator app)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, req.user.email),
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a first code and enable two-factor authentication
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLockedUntil = null;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes, // Only shown once
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Second login step: exchange the challenge token and a code (or recovery code) for a session
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = challengeToken ? verifyChallengeToken(challengeToken) : null;
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please login again.',
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a verification code or a recovery code',
+      });
+    }
+
+    const user = await User.findById(userId).select(
+      '+twoFactorSecret +twoFactorLastUsedStep +twoFactorLockedUntil'
+    );
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please login again.',
+      });
+    }
+
+    if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date()) {
+      const retryAfter = Math.ceil((user.twoFactorLockedUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfter,
+      });
+    }
+
+    let verified = false;
+    let usedRecoveryCode = false;
+
+    if (code) {
+      const step = verifyTotp(user.twoFactorSecret, code);
+
+      // Each code is accepted once, even within its validity window
+      if (step !== null) {
+        const result = await User.updateOne(
+          {
+            _id: user._id,
+            $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+          },
+          { twoFactorLastUsedStep: step, twoFactorFailedAttempts: 0, twoFactorLockedUntil: null }
+        );
+        verified = result.modifiedCount > 0;
+      }
+    } else {
+      const hash = hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        {
+          $pull: { twoFactorRecoveryCodes: hash },
+          twoFactorFailedAttempts: 0,
+          twoFactorLockedUntil: null,
+        }
+      );
+      verified = result.modifiedCount > 0;
+      usedRecoveryCode = verified;
+    }
+
+    if (!verified) {
+      const { twoFactorFailedAttempts } = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { twoFactorFailedAttempts: 1 } },
+        { new: true }
+      ).select('+twoFactorFailedAttempts');
+
+      if (twoFactorFailedAttempts % MAX_FAILED_ATTEMPTS === 0) {
+        const lockMinutes = getLockMinutes(twoFactorFailedAttempts);
+        await User.updateOne(
+          { _id: user._id },
+          { twoFactorLockedUntil: new Date(Date.now() + lockMinutes * 60 * 1000) }
+        );
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const data = await buildLoginResponse(user, req);
+
+    if (usedRecoveryCode) {
+      const { twoFactorRecoveryCodes } = await User.findById(user._id).select('+twoFactorRecoveryCodes');
+      data.recoveryCodesRemaining = twoFactorRecoveryCodes.length;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data,
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication (requires the password)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password',
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastUsedStep: null,
+        twoFactorFailedAttempts: 0,
+        twoFactorLockedUntil: null,
+        twoFactorRecoveryCodes: [],
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Replace all recovery codes (requires the password)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password',
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,652 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const UploadTicket = require('../models/UploadTicket');
+const { findAccessibleFile } = require('../utils/permissions');
+const { queueThumbnails } = require('../utils/thumbnails');
+const { indexContent } = require('../utils/blobs');
+const { getPathInFolder, normalizeName, INVALID_NAME_MESSAGE } = require('../utils/fileTree');
+const { addToFolderStats } = require('../utils/folderStats');
+const { reserveStorage, releaseStorage } = require('../utils/quota');
+const { recordActivity } = require('../utils/activity');
+const {
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload,
+  getUploadUrl,
+  getUploadPost,
+  headObject,
+  supportsUploadPost,
+} = require('../storage');
+const {
+  getMaxUploadSize,
+  getPartSize,
+  getSessionExpiration,
+  getTicketTtlSeconds,
+  isTicketExpired,
+  discardTicket,
+  abortSession,
+  discardCompletedSession,
+} = require('../utils/uploadSessions');
+
+/**
+ * Helper function to format a session for API responses
+ */
+const formatSession = (session) => ({
+  sessionId: session._id,
+  name: session.name,
+  size: session.size,
+  mimeType: session.mimeType,
+  parentFolder: session.parentFolder,
+  partSize: session.partSize,
+  totalParts: session.totalParts,
+  receivedParts: session.parts
+    .map((part) => part.partNumber)
+    .sort((a, b) => a - b),
+  receivedBytes: session.parts.reduce((total, part) => total + part.size, 0),
+  status: session.status,
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * Helper function to find an active session started by the current user
+ */
+const findActiveSession = (sessionId, userId) => {
+  return UploadSession.findOne({
+    _id: sessionId,
+    uploadedBy: userId,
+    status: 'active',
+  });
+};
+
+/**
+ * @desc    Start a resumable upload
+ * @route   POST /api/files/uploads
+ * @access  Private
+ */
+const initiateUpload = async (req, res) => {
+  try {
+    const { name: rawName, size, parentFolder, mimeType } = req.body;
+    const fileSize = Number(size);
+
+    if (!rawName || !Number.isInteger(fileSize) || fileSize <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'File name and a valid size are required',
+      });
+    }
+
+    const name = normalizeName(rawName);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_NAME_MESSAGE,
+      });
+    }
+
+    if (fileSize > getMaxUploadSize()) {
+      return res.status(400).json({
+        success: false,
+        message: `File is too large for a resumable upload (limit ${Math.floor(getMaxUploadSize() / (1024 * 1024 * 1024))}GB)`,
+      });
+    }
+
+    // Build file path
+    let filePath = '/';
+    let ownerId = req.user._id;
+    if (parentFolder) {
+      // Editors of a shared folder can upload into it
+      const { file: parent } = await findAccessibleFile(parentFolder, req.user._id, 'editor', {
+        type: 'folder',
+        isTrashed: false,
+      });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent folder not found',
+        });
+      }
+
+      filePath = `${parent.path}${parent.name}/`;
+      ownerId = parent.owner;
+    }
+
+    // Reserve storage of the folder owner (who is charged for the file) until the upload ends
+    const reserved = await reserveStorage(ownerId, fileSize);
+    if (!reserved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Storage limit exceeded',
+      });
+    }
+
+    // Generate unique S3 key
+    const fileExtension = path.extname(name);
+    const fileName = path.basename(name, fileExtension);
+    const s3Key = `${ownerId}/${uuidv4()}-${fileName}${fileExtension}`;
+    const contentType = mimeType || 'application/octet-stream';
+
+    let uploadId;
+    try {
+      uploadId = await createMultipartUpload(s3Key, contentType);
+    } catch (storageError) {
+      console.error('Storage create multipart upload error:', storageError);
+      await releaseStorage(ownerId, fileSize);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start upload in storage',
+        error: storageError.message,
+      });
+    }
+
+    const partSize = getPartSize(fileSize);
+
+    const session = await UploadSession.create({
+      owner: ownerId,
+      uploadedBy: req.user._id,
+      name,
+      mimeType: contentType,
+      size: fileSize,
+      path: filePath,
+      parentFolder: parentFolder || null,
+      s3Key,
+      uploadId,
+      partSize,
+      totalParts: Math.ceil(fileSize / partSize),
+      expiresAt: getSessionExpiration(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: formatSession(session),
+    });
+  } catch (error) {
+    console.error('Initiate upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting upload',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Upload one part of a resumable upload (raw request body)
+ * @route   PUT /api/files/uploads/:sessionId/parts/:partNumber
+ * @access  Private
+ */
+const uploadChunk = async (req, res) => {
+  try {
+    const partNumber = Number(req.params.partNumber);
+    const session = await findActiveSession(req.params.sessionId, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found',
+      });
+    }
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+      return res.status(400).json({
+        success: false,
+        message: `Part number must be between 1 and ${session.totalParts}`,
+      });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+    const expectedSize = session.getExpectedPartSize(partNumber);
+
+    if (!body || body.length !== expectedSize) {
+      return res.status(400).json({
+        success: false,
+        message: `Part ${partNumber} must be exactly ${expectedSize} bytes`,
+      });
+    }
+
+    let etag;
+    try {
+      etag = await uploadPart(session.s3Key, session.uploadId, partNumber, body);
+    } catch (storageError) {
+      console.error('Storage upload part error:', storageError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload part to storage',
+        error: storageError.message,
+      });
+    }
+
+    // Replace any earlier attempt of the same part
+    await UploadSession.updateOne({ _id: session._id }, { $pull: { parts: { partNumber } } });
+    await UploadSession.updateOne(
+      { _id: session._id },
+      {
+        $push: { parts: { partNumber, etag, size: body.length } },
+        expiresAt: getSessionExpiration(),
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        partNumber,
+        size: body.length,
+      },
+    });
+  } catch (error) {
+    console.error('Upload part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading part',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the status of a resumable upload (which parts were received)
+ * @route   GET /api/files/uploads/:sessionId
+ * @access  Private
+ */
+const getUploadStatus = async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.sessionId,
+      uploadedBy: req.user._id,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSession(session),
+    });
+  } catch (error) {
+    console.error('Get upload status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching upload status',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Complete a resumable upload and create the file
+ * @route   POST /api/files/uploads/:sessionId/complete
+ * @access  Private
+ */
+const completeUpload = async (req, res) => {
+  try {
+    const session = await findActiveSession(req.params.sessionId, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found',
+      });
+    }
+
+    const received = new Set(session.parts.map((part) => part.partNumber));
+    const missingParts = [];
+    for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+      if (!received.has(partNumber)) missingParts.push(partNumber);
+    }
+
+    if (missingParts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload is missing parts',
+        missingParts,
+      });
+    }
+
+    // Claim the session so concurrent complete calls can't create two files
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { status: 'completing' }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already being completed',
+      });
+    }
+
+    try {
+      await completeMultipartUpload(session.s3Key, session.uploadId, session.parts);
+    } catch (storageError) {
+      // Session goes back to active so the client can retry
+      await UploadSession.updateOne({ _id: session._id, status: 'completing' }, { status: 'active' });
+      console.error('Storage complete upload error:', storageError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to complete upload in storage',
+        error: storageError.message,
+      });
+    }
+
+    // Create file record in database (storage was reserved when the upload started).
+    // The path is looked up again in case the folder was renamed or moved meanwhile.
+    let file;
+    try {
+      file = await File.create({
+        name: session.name,
+        type: 'file',
+        mimeType: session.mimeType,
+        size: session.size,
+        path: await getPathInFolder(session.parentFolder, session.path),
+        s3Key: session.s3Key,
+        parentFolder: session.parentFolder,
+        owner: session.owner,
+        lastModifiedBy: req.user._id,
+      });
+    } catch (error) {
+      // Never leave the session claimed: nothing would release its reservation
+      await discardCompletedSession(session);
+      throw error;
+    }
+
+    // From here on the file holds the reservation
+    await UploadSession.updateOne({ _id: session._id }, { status: 'completed' });
+    await addToFolderStats(file);
+    await recordActivity(req, 'upload', file);
+
+    // Content is hashed (and deduplicated) in the background, then thumbnailed
+    indexContent(file)
+      .catch((error) => console.error('Content indexing error:', error))
+      .then(() => queueThumbnails(file));
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: file,
+    });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing upload',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Abort a resumable upload
+ * @route   DELETE /api/files/uploads/:sessionId
+ * @access  Private
+ */
+const abortUpload = async (req, res) => {
+  try {
+    const session = await findActiveSession(req.params.sessionId, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found',
+      });
+    }
+
+    await abortSession(session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload aborted',
+    });
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while aborting upload',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Request a ticket to upload a file directly to storage
+ * @route   POST /api/files/direct-uploads
+ * @access  Private
+ */
+const createUploadTicket = async (req, res) => {
+  try {
+    const { name: rawName, size, parentFolder, mimeType, method } = req.body;
+    const fileSize = Number(size);
+    const uploadMethod = (method || 'PUT').toUpperCase();
+
+    if (!rawName || !Number.isInteger(fileSize) || fileSize <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'File name and a valid size are required',
+      });
+    }
+
+    const name = normalizeName(rawName);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_NAME_MESSAGE,
+      });
+    }
+
+    if (!['PUT', 'POST'].includes(uploadMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Method must be either PUT or POST',
+      });
+    }
+
+    if (uploadMethod === 'POST' && !supportsUploadPost) {
+      return res.status(400).json({
+        success: false,
+        message: 'POST uploads are not supported by the configured storage driver',
+      });
+    }
+
+    // Build file path
+    let filePath = '/';
+    let ownerId = req.user._id;
+    if (parentFolder) {
+      // Editors of a shared folder can upload into it
+      const { file: parent } = await findAccessibleFile(parentFolder, req.user._id, 'editor', {
+        type: 'folder',
+        isTrashed: false,
+      });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent folder not found',
+        });
+      }
+
+      filePath = `${parent.path}${parent.name}/`;
+      ownerId = parent.owner;
+    }
+
+    // Reserve storage of the folder owner (who is charged for the file) until the upload ends
+    const reserved = await reserveStorage(ownerId, fileSize);
+    if (!reserved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Storage limit exceeded',
+      });
+    }
+
+    // The server picks the key so clients can't overwrite other objects
+    const fileExtension = path.extname(name);
+    const fileName = path.basename(name, fileExtension);
+    const s3Key = `${ownerId}/${uuidv4()}-${fileName}${fileExtension}`;
+    const contentType = mimeType || 'application/octet-stream';
+    const expiresIn = getTicketTtlSeconds();
+
+    const upload = { method: uploadMethod };
+    try {
+      if (uploadMethod === 'PUT') {
+        upload.url = await getUploadUrl(s3Key, { contentType, size: fileSize, expiresIn });
+        upload.headers = { 'Content-Type': contentType };
+      } else {
+        const { url, fields } = await getUploadPost(s3Key, { contentType, size: fileSize, expiresIn });
+        upload.url = url;
+        upload.fields = fields;
+      }
+    } catch (storageError) {
+      await releaseStorage(ownerId, fileSize);
+      throw storageError;
+    }
+
+    const ticket = await UploadTicket.create({
+      owner: ownerId,
+      uploadedBy: req.user._id,
+      name,
+      mimeType: contentType,
+      size: fileSize,
+      path: filePath,
+      parentFolder: parentFolder || null,
+      s3Key,
+      method: uploadMethod,
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ticketId: ticket._id,
+        expiresAt: ticket.expiresAt,
+        upload,
+      },
+    });
+  } catch (error) {
+    console.error('Create upload ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating upload ticket',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Finalize a direct upload once the object is in storage
+ * @route   POST /api/files/direct-uploads/:ticketId/finalize
+ * @access  Private
+ */
+const finalizeUpload = async (req, res) => {
+  try {
+    const ticket = await UploadTicket.findOne({
+      _id: req.params.ticketId,
+      uploadedBy: req.user._id,
+      status: 'pending',
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload ticket not found',
+      });
+    }
+
+    if (isTicketExpired(ticket)) {
+      await discardTicket(ticket, 'expired');
+      return res.status(410).json({
+        success: false,
+        message: 'Upload ticket has expired',
+      });
+    }
+
+    // Verify the uploaded object before trusting it
+    let object;
+    try {
+      object = await headObject(ticket.s3Key);
+    } catch (storageError) {
+      console.error('Storage head object error:', storageError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify upload in storage',
+        error: storageError.message,
+      });
+    }
+
+    if (!object) {
+      return res.status(400).json({
+        success: false,
+        message: 'File has not been uploaded yet',
+      });
+    }
+
+    if (object.size !== ticket.size) {
+      await discardTicket(ticket, 'rejected');
+      return res.status(400).json({
+        success: false,
+        message: `Uploaded size (${object.size} bytes) does not match declared size (${ticket.size} bytes)`,
+      });
+    }
+
+    // Claim the ticket so concurrent finalize calls can't create two files
+    const claimed = await UploadTicket.findOneAndUpdate(
+      { _id: ticket._id, status: 'pending' },
+      { status: 'finalized' }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload has already been finalized',
+      });
+    }
+
+    // Create file record in database (storage was reserved when the upload started).
+    // The path is looked up again in case the folder was renamed or moved meanwhile.
+    const file = await File.create({
+      name: ticket.name,
+      type: 'file',
+      mimeType: ticket.mimeType,
+      size: ticket.size,
+      path: await getPathInFolder(ticket.parentFolder, ticket.path),
+      s3Key: ticket.s3Key,
+      parentFolder: ticket.parentFolder,
+      owner: ticket.owner,
+      lastModifiedBy: req.user._id,
+    });
+    await addToFolderStats(file);
+    await recordActivity(req, 'upload', file);
+
+    // Content is hashed (and deduplicated) in the background, then thumbnailed
+    indexContent(file)
+      .catch((error) => console.error('Content indexing error:', error))
+      .then(() => queueThumbnails(file));
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: file,
+    });
+  } catch (error) {
+    console.error('Finalize upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while finalizing upload',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  initiateUpload,
+  uploadChunk,
+  getUploadStatus,
+  completeUpload,
+  abortUpload,
+  createUploadTicket,
+  finalizeUpload,
+};
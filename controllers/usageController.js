@@ -0,0 +1,97 @@
+const File = require('../models/File');
+const { reconcileStorage, getStorageBreakdown } = require('../utils/quota');
+const { recomputeFolderStats } = require('../utils/folderStats');
+
+const DEFAULT_TOP_COUNT = 10;
+const MAX_TOP_COUNT = 50;
+
+/**
+ * @desc    Recompute the user's storage usage from their files and fix any drift
+ * @route   POST /api/storage/reconcile
+ * @access  Private
+ */
+const reconcileUsage = async (req, res) => {
+  try {
+    const result = await reconcileStorage(req.user._id);
+    const folders = await recomputeFolderStats(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: result.drift === 0 ? 'Storage usage is up to date' : 'Storage usage corrected',
+      data: {
+        previousStorageUsed: result.previous,
+        storageUsed: result.actual,
+        drift: result.drift,
+        storageLimit: req.user.storageLimit,
+        foldersCorrected: folders.fixed,
+      },
+    });
+  } catch (error) {
+    console.error('Reconcile usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reconciling storage usage',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Storage summary: usage by category, trash vs active usage, largest files and folders
+ * @route   GET /api/storage/summary
+ * @access  Private
+ */
+const getStorageSummary = async (req, res) => {
+  try {
+    const top = Math.min(Math.max(parseInt(req.query.top, 10) || DEFAULT_TOP_COUNT, 1), MAX_TOP_COUNT);
+
+    // Read-only: a difference from the recorded usage is reported as drift and left
+    // to POST /api/storage/reconcile and the reconciler job to correct
+    const { storageUsed } = req.user;
+    const breakdown = await getStorageBreakdown(req.user._id);
+
+    const largestFiles = await File.find({ owner: req.user._id, type: 'file', isTrashed: false })
+      .sort({ size: -1 })
+      .limit(top)
+      .select('name path size mimeType parentFolder updatedAt');
+
+    // Folder sizes add up their files, so deduplicated content counts in every folder that holds it
+    const largestFolders = await File.find({ owner: req.user._id, type: 'folder', isTrashed: false })
+      .sort({ size: -1 })
+      .limit(top)
+      .select('name path size fileCount folderCount parentFolder updatedAt');
+
+    const trashItems = await File.countDocuments({
+      owner: req.user._id,
+      isTrashed: true,
+      trashRoot: null,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        storageUsed,
+        storageLimit: req.user.storageLimit,
+        available: Math.max(req.user.storageLimit - storageUsed, 0),
+        drift: breakdown.total - storageUsed,
+        active: breakdown.active,
+        trash: { ...breakdown.trash, items: trashItems },
+        uploadsInProgress: breakdown.pending,
+        largestFiles,
+        largestFolders,
+      },
+    });
+  } catch (error) {
+    console.error('Storage summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building storage summary',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  reconcileUsage,
+  getStorageSummary,
+};
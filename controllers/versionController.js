@@ -0,0 +1,239 @@
+const FileVersion = require('../models/FileVersion');
+const { findAccessibleFile } = require('../utils/permissions');
+const { getFileUrl } = require('../storage');
+const { getMaxVersions, deleteVersions, pruneVersions } = require('../utils/versions');
+const { refreshThumbnails } = require('../utils/thumbnails');
+const { releaseStorage } = require('../utils/quota');
+const { adjustFolderStats } = require('../utils/folderStats');
+
+/**
+ * @desc    List previous versions of a file
+ * @route   GET /api/files/:id/versions
+ * @access  Private
+ */
+const getVersions = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
+      type: 'file',
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const versions = await FileVersion.find({ file: file._id })
+      .sort({ versionNumber: -1 })
+      .populate('uploadedBy', 'email firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      maxVersions: getMaxVersions(),
+      data: {
+        current: {
+          versionNumber: file.versionNumber,
+          size: file.size,
+          mimeType: file.mimeType,
+          updatedAt: file.updatedAt,
+        },
+        versions,
+      },
+    });
+  } catch (error) {
+    console.error('Get versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching versions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Download a specific version of a file
+ * @route   GET /api/files/:id/versions/:versionId/download
+ * @access  Private
+ */
+const downloadVersion = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'viewer', {
+      type: 'file',
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const version = await FileVersion.findOne({
+      _id: req.params.versionId,
+      file: file._id,
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    const downloadUrl = await getFileUrl(
+      { s3Key: version.s3Key, name: file.name },
+      { expiresIn: 3600 } // 1 hour
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        downloadUrl,
+        fileName: file.name,
+        fileSize: version.size,
+        versionNumber: version.versionNumber,
+      },
+    });
+  } catch (error) {
+    console.error('Download version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading version',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Restore a previous version as the current content
+ * @route   POST /api/files/:id/versions/:versionId/restore
+ * @access  Private
+ */
+const restoreVersion = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'editor', {
+      type: 'file',
+      isTrashed: false,
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const version = await FileVersion.findOne({
+      _id: req.params.versionId,
+      file: file._id,
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    // The current content becomes a version, so total storage stays the same
+    await FileVersion.create({
+      file: file._id,
+      owner: file.owner,
+      versionNumber: file.versionNumber,
+      s3Key: file.s3Key,
+      contentHash: file.contentHash,
+      mimeType: file.mimeType,
+      size: file.size,
+      uploadedBy: file.lastModifiedBy || file.owner,
+      uploadedAt: file.updatedAt,
+    });
+
+    const oldThumbnails = file.thumbnails;
+    const oldSize = file.size;
+    file.s3Key = version.s3Key;
+    file.contentHash = version.contentHash;
+    file.mimeType = version.mimeType;
+    file.size = version.size;
+    file.versionNumber += 1;
+    file.lastModifiedBy = req.user._id;
+    file.thumbnails = [];
+    file.thumbnailStatus = 'none';
+    await file.save();
+    await adjustFolderStats(file.parentFolder, { size: file.size - oldSize });
+
+    await FileVersion.findByIdAndDelete(version._id);
+    await pruneVersions(file);
+    refreshThumbnails(file, oldThumbnails);
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${version.versionNumber} restored successfully`,
+      data: file,
+    });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring version',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a previous version of a file
+ * @route   DELETE /api/files/:id/versions/:versionId
+ * @access  Private
+ */
+const deleteVersion = async (req, res) => {
+  try {
+    const { file } = await findAccessibleFile(req.params.id, req.user._id, 'editor', {
+      type: 'file',
+    });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const version = await FileVersion.findOne({
+      _id: req.params.versionId,
+      file: file._id,
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    const freedBytes = await deleteVersions([version]);
+
+    // Update owner storage
+    await releaseStorage(file.owner, freedBytes);
+
+    res.status(200).json({
+      success: true,
+      message: 'Version deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting version',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getVersions,
+  downloadVersion,
+  restoreVersion,
+  deleteVersion,
+};
@@ -0,0 +1,142 @@
+const File = require('../models/File');
+const { encodeCursor, decodeCursor, getCursorCondition } = require('../utils/search');
+
+/**
+ * Helper function to read the page size from the query string
+ */
+const getLimit = (req) => Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+/**
+ * Helper function to send one page of results with the cursor for the next page
+ */
+const sendPage = (res, files, limit, sortField) => {
+  const hasMore = files.length > limit;
+  const page = files.slice(0, limit);
+
+  res.status(200).json({
+    success: true,
+    count: page.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+    data: page,
+  });
+};
+
+/**
+ * Helper function to run a paginated, descending query over the user's non-trashed items
+ */
+const findPage = async (req, res, conditions, sortField) => {
+  const limit = getLimit(req);
+  const query = [{ owner: req.user._id, isTrashed: false }, ...conditions];
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+      });
+    }
+    query.push(getCursorCondition(cursor, sortField, -1));
+  }
+
+  const files = await File.find({ $and: query })
+    .sort({ [sortField]: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('parentFolder', 'name');
+
+  sendPage(res, files, limit, sortField);
+};
+
+/**
+ * @desc    Get starred files and folders across all folders
+ * @route   GET /api/files/starred
+ * @access  Private
+ */
+const getStarred = async (req, res) => {
+  try {
+    await findPage(req, res, [{ isStarred: true }], 'updatedAt');
+  } catch (error) {
+    console.error('Get starred error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching starred files',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get recently uploaded, modified or opened files
+ * @route   GET /api/files/recent
+ * @access  Private
+ */
+const getRecent = async (req, res) => {
+  try {
+    const limit = getLimit(req);
+    const pipeline = [
+      { $match: { owner: req.user._id, isTrashed: false, type: 'file' } },
+      // Latest of modification (covers uploads) and last open
+      {
+        $addFields: {
+          recentAt: { $max: ['$updatedAt', { $ifNull: ['$lastAccessedAt', '$updatedAt'] }] },
+        },
+      },
+    ];
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      pipeline.push({ $match: getCursorCondition(cursor, 'recentAt', -1) });
+    }
+
+    pipeline.push({ $sort: { recentAt: -1, _id: -1 } }, { $limit: limit + 1 });
+
+    const files = await File.aggregate(pipeline);
+    await File.populate(files, { path: 'parentFolder', select: 'name' });
+
+    sendPage(res, files, limit, 'recentAt');
+  } catch (error) {
+    console.error('Get recent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recent files',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the largest files
+ * @route   GET /api/files/large
+ * @access  Private
+ */
+const getLarge = async (req, res) => {
+  try {
+    const conditions = [{ type: 'file' }];
+
+    if (req.query.minSize !== undefined) {
+      conditions.push({ size: { $gte: Number(req.query.minSize) || 0 } });
+    }
+
+    await findPage(req, res, conditions, 'size');
+  } catch (error) {
+    console.error('Get large files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching large files',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getStarred,
+  getRecent,
+  getLarge,
+};
@@ -0,0 +1,397 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  EVENT_TYPES,
+  WebhookUrlError,
+  validateWebhookUrl,
+  generateWebhookSecret,
+  queueEvent,
+} = require('../utils/webhooks');
+const { encodeCursor, decodeCursor, getCursorCondition } = require('../utils/search');
+
+/**
+ * Helper function to validate a list of event types ('*' means all events)
+ */
+const getInvalidEvents = (events) => {
+  return events.filter((event) => event !== '*' && !EVENT_TYPES.includes(event));
+};
+
+/**
+ * Helper function to find a webhook of the logged-in user
+ */
+const findOwnWebhook = (id, userId, select = '') => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Webhook.findOne({ _id: id, owner: userId }).select(select);
+};
+
+/**
+ * @desc    Register a webhook endpoint (the signing secret is only returned here)
+ * @route   POST /api/webhooks
+ * @access  Private
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid http(s) URL is required',
+      });
+    }
+
+    const subscribed = events === undefined ? ['*'] : events;
+    if (!Array.isArray(subscribed) || subscribed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Events must be a non-empty array of event types',
+      });
+    }
+
+    const invalidEvents = getInvalidEvents(subscribed);
+    if (invalidEvents.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown event types: ${invalidEvents.join(', ')}`,
+        eventTypes: EVENT_TYPES,
+      });
+    }
+
+    // Internal addresses are refused so webhooks can't be used to probe the server's network
+    await validateWebhookUrl(url);
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      owner: req.user._id,
+      url,
+      description,
+      events: [...new Set(subscribed)],
+      secret,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now; it is not shown again.',
+      data: {
+        ...webhook.toObject(),
+        secret,
+      },
+    });
+  } catch (error) {
+    if (error instanceof WebhookUrlError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    List webhooks of logged-in user
+ * @route   GET /api/webhooks
+ * @access  Private
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      eventTypes: EVENT_TYPES,
+      data: webhooks,
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhooks',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a webhook (URL, events, description, or re-enable it)
+ * @route   PATCH /api/webhooks/:id
+ * @access  Private
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    if (url !== undefined) {
+      await validateWebhookUrl(url);
+      webhook.url = url;
+    }
+
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Events must be a non-empty array of event types',
+        });
+      }
+
+      const invalidEvents = getInvalidEvents(events);
+      if (invalidEvents.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown event types: ${invalidEvents.join(', ')}`,
+          eventTypes: EVENT_TYPES,
+        });
+      }
+      webhook.events = [...new Set(events)];
+    }
+
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+
+    if (isActive !== undefined) {
+      webhook.isActive = Boolean(isActive);
+      // Re-enabling gives the endpoint a fresh start
+      if (webhook.isActive) {
+        webhook.consecutiveFailures = 0;
+        webhook.disabledAt = null;
+        webhook.disabledReason = null;
+      } else {
+        webhook.disabledAt = new Date();
+        webhook.disabledReason = 'Disabled by user';
+      }
+    }
+
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook,
+    });
+  } catch (error) {
+    if (error instanceof WebhookUrlError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Replace the signing secret of a webhook
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @access  Private
+ */
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Secret rotated. Store the new secret now; it is not shown again.',
+      data: { secret },
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating webhook secret',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Send a test event to a webhook
+ * @route   POST /api/webhooks/:id/test
+ * @access  Private
+ */
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook is disabled. Re-enable it before sending a test event.',
+      });
+    }
+
+    await validateWebhookUrl(webhook.url);
+
+    const [delivery] = await queueEvent(
+      req.user._id,
+      'webhook.test',
+      {
+        message: 'This is a test event',
+        webhook: { id: webhook._id, url: webhook.url },
+      },
+      { webhook }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued. Check the delivery log for the result.',
+      data: delivery,
+    });
+  } catch (error) {
+    if (error instanceof WebhookUrlError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending test event',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the delivery log of a webhook
+ * @route   GET /api/webhooks/:id/deliveries
+ * @access  Private
+ */
+const getDeliveries = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = [{ webhook: webhook._id }];
+
+    if (req.query.status) {
+      query.push({ status: req.query.status });
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      query.push(getCursorCondition(cursor, 'createdAt', -1));
+    }
+
+    const deliveries = await WebhookDelivery.find({ $and: query })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = deliveries.length > limit;
+    const page = deliveries.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt') : null,
+      data: page,
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deliveries',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getDeliveries,
+};
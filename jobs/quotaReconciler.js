@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const { reconcileStorage } = require('../utils/quota');
+const { recomputeFolderStats } = require('../utils/folderStats');
+
+/**
+ * Recompute storage usage and folder sizes for every user and correct any drift
+ * @returns {Promise<number>} Number of users whose usage was corrected
+ */
+const reconcileAllUsers = async () => {
+  let corrected = 0;
+
+  const cursor = User.find().select('_id').cursor();
+  for await (const user of cursor) {
+    try {
+      const result = await reconcileStorage(user._id);
+      if (result && result.drift !== 0) corrected += 1;
+      await recomputeFolderStats(user._id);
+    } catch (error) {
+      console.error(`Quota reconciliation error for user ${user._id}:`, error);
+    }
+  }
+
+  return corrected;
+};
+
+/**
+ * Run the quota reconciliation on a fixed interval
+ */
+const startQuotaReconciler = () => {
+  const intervalHours = parseInt(process.env.QUOTA_RECONCILE_INTERVAL_HOURS, 10) || 24;
+
+  const run = async () => {
+    try {
+      const corrected = await reconcileAllUsers();
+      if (corrected > 0) {
+        console.log(`Quota reconciler corrected usage of ${corrected} user(s)`);
+      }
+    } catch (error) {
+      console.error('Quota reconciliation error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { reconcileAllUsers, startQuotaReconciler };
@@ -0,0 +1,55 @@
+const File = require('../models/File');
+const { getTrashRetentionDays, permanentlyDelete } = require('../utils/trash');
+
+/**
+ * Permanently delete items that have been in trash longer than the retention period
+ * @returns {Promise<number>} Number of documents removed
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+  const expired = await File.find({
+    isTrashed: true,
+    trashRoot: null,
+    trashedAt: { $lte: cutoff },
+  });
+
+  // Group by owner so storage is released per user
+  const byOwner = new Map();
+  for (const item of expired) {
+    const ownerId = item.owner.toString();
+    if (!byOwner.has(ownerId)) byOwner.set(ownerId, []);
+    byOwner.get(ownerId).push(item);
+  }
+
+  let removed = 0;
+  for (const [ownerId, items] of byOwner) {
+    removed += await permanentlyDelete(items, ownerId);
+  }
+
+  return removed;
+};
+
+/**
+ * Run the trash purger on a fixed interval
+ */
+const startTrashPurger = () => {
+  const intervalMinutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+  const run = async () => {
+    try {
+      const removed = await purgeExpiredTrash();
+      if (removed > 0) {
+        console.log(`Trash purger removed ${removed} item(s)`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { purgeExpiredTrash, startTrashPurger };
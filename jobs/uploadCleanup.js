@@ -0,0 +1,57 @@
+const UploadSession = require('../models/UploadSession');
+const UploadTicket = require('../models/UploadTicket');
+const {
+  TICKET_FINALIZE_GRACE_MS,
+  abortSession,
+  discardTicket,
+} = require('../utils/uploadSessions');
+
+/**
+ * Abort idle upload sessions and remove objects of direct uploads that were never finalized
+ * @returns {Promise<number>} Number of sessions and tickets cleaned up
+ */
+const cleanupExpiredUploads = async () => {
+  const expiredSessions = await UploadSession.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const session of expiredSessions) {
+    await abortSession(session);
+  }
+
+  const expiredTickets = await UploadTicket.find({
+    status: 'pending',
+    expiresAt: { $lte: new Date(Date.now() - TICKET_FINALIZE_GRACE_MS) },
+  });
+
+  for (const ticket of expiredTickets) {
+    await discardTicket(ticket, 'expired');
+  }
+
+  return expiredSessions.length + expiredTickets.length;
+};
+
+/**
+ * Run the upload cleanup on a fixed interval
+ */
+const startUploadCleanup = () => {
+  const intervalMinutes = parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES, 10) || 60;
+
+  const run = async () => {
+    try {
+      const removed = await cleanupExpiredUploads();
+      if (removed > 0) {
+        console.log(`Upload cleanup removed ${removed} abandoned upload(s)`);
+      }
+    } catch (error) {
+      console.error('Upload cleanup error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { cleanupExpiredUploads, startUploadCleanup };
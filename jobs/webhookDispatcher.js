@@ -0,0 +1,22 @@
+const { processDueDeliveries } = require('../utils/webhooks');
+
+/**
+ * Deliver due webhook events (new events and retries) on a fixed interval
+ */
+const startWebhookDispatcher = () => {
+  const intervalSeconds = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS, 10) || 15;
+
+  const run = async () => {
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Webhook dispatch error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startWebhookDispatcher };
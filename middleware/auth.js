@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 /**
  * Middleware to protect routes - verify JWT token
@@ -16,6 +17,15 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Access tokens belong to a session, which may have been revoked (logout)
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please login again.',
+        });
+      }
+
       // Get user from token (exclude password)
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -26,6 +36,14 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens issued before a password change are no longer valid
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed. Please login again.',
+        });
+      }
+
       // Check if user is active
       if (!req.user.isActive) {
         return res.status(401).json({
@@ -34,6 +52,8 @@ const protect = async (req, res, next) => {
         });
       }
 
+      req.sessionId = session._id;
+
       next();
     } catch (error) {
       console.error('Token verification error:', error.message);
@@ -61,12 +81,32 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
+ * Middleware to restrict routes to admins (use after protect).
+ * Emails listed in ADMIN_EMAILS are always admins, so the first admin can be bootstrapped.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (req.user.role !== 'admin' && !adminEmails.includes(req.user.email)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Generate a short-lived JWT access token for a session
  */
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '24h', // Token expires in 24 hours
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m', // Renewed with the refresh token
   });
 };
 
-module.exports = { protect, generateToken };
\ No newline at end of file
+module.exports = { protect, requireAdmin, generateToken };
\ No newline at end of file
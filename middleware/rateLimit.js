@@ -0,0 +1,19 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+// Wrong passwords allowed per share link and client before they have to wait
+const linkPasswordLimiter = rateLimit({
+  windowMs: (parseInt(process.env.LINK_PASSWORD_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  limit: parseInt(process.env.LINK_PASSWORD_MAX_ATTEMPTS, 10) || 10,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  // Only requests that try a password count, and only when it is wrong
+  skip: (req) => req.headers['x-link-password'] === undefined,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.params.token}:${ipKeyGenerator(req.ip)}`,
+  message: {
+    success: false,
+    message: 'Too many password attempts for this link. Please try again later.',
+  },
+});
+
+module.exports = { linkPasswordLimiter };
@@ -0,0 +1,11 @@
+const express = require('express');
+const { getMaxPartSize } = require('../utils/uploadSessions');
+
+// Raw body parser for resumable upload parts (only one part is buffered at a time).
+// Uploads are capped at creation so their parts always fit in this limit.
+const rawChunk = express.raw({
+  type: () => true,
+  limit: getMaxPartSize(),
+});
+
+module.exports = rawChunk;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Name and location of an item at the time of an event
+const snapshotSchema = new mongoose.Schema(
+  {
+    name: String,
+    path: String,
+  },
+  { _id: false }
+);
+
+const activitySchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true, // Owner of the file, so owners see what collaborators did
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true, // Kept after the file is deleted
+    },
+    fileType: {
+      type: String,
+      enum: ['file', 'folder'],
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['create', 'upload', 'new-version', 'rename', 'move', 'star', 'unstar', 'trash', 'download'],
+      required: true,
+    },
+    before: {
+      type: snapshotSchema,
+      default: null,
+    },
+    after: {
+      type: snapshotSchema,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+activitySchema.index({ file: 1, createdAt: -1 });
+activitySchema.index({ actor: 1, createdAt: -1 });
+activitySchema.index({ owner: 1, createdAt: -1 });
+// Events past the retention window are removed by MongoDB
+activitySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+module.exports = Activity;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        'update-storage-limit',
+        'activate-user',
+        'deactivate-user',
+        'change-role',
+        'force-password-reset',
+        'delete-user',
+        'reconcile-storage',
+      ],
+      required: true,
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    targetEmail: {
+      type: String,
+      default: null, // Kept so entries stay readable after the user is deleted
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ targetUser: 1, createdAt: -1 });
+adminAuditLogSchema.index({ admin: 1, createdAt: -1 });
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+module.exports = AdminAuditLog;
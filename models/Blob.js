@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const blobSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true, // SHA-256 of the content, hex encoded
+    },
+    s3Key: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      default: 0, // in bytes
+    },
+    mimeType: {
+      type: String,
+      default: null,
+    },
+    refCount: {
+      type: Number,
+      default: 1, // Files and versions pointing at this object
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Content is deduplicated per user, so hashes never reveal other users' files
+blobSchema.index({ owner: 1, hash: 1 }, { unique: true });
+blobSchema.index({ owner: 1, s3Key: 1 });
+
+const Blob = mongoose.model('Blob', blobSchema);
+
+module.exports = Blob;
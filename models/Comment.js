@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema(
+  {
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true, // Owner of the file, for cleanup when the account is deleted
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      // null on deleted placeholders whose author's account was deleted
+      required: function () {
+        return !this.deletedAt;
+      },
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null, // null for the first comment of a thread, otherwise the thread it replies to
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment text is required'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot be longer than 5000 characters'],
+    },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null, // Set on a first comment deleted while others had replied to it
+    },
+    // Thread state (only used on the first comment of a thread)
+    isResolved: {
+      type: Boolean,
+      default: false,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ file: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ owner: 1 });
+commentSchema.index({ author: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
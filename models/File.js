@@ -18,7 +18,15 @@ const fileSchema = new mongoose.Schema(
     },
     size: {
       type: Number,
-      default: 0, // in bytes
+      default: 0, // in bytes (for folders: total size of the files inside, at any depth)
+    },
+    fileCount: {
+      type: Number,
+      default: 0, // Folders only: files inside, at any depth
+    },
+    folderCount: {
+      type: Number,
+      default: 0, // Folders only: subfolders, at any depth
     },
     path: {
       type: String,
@@ -32,6 +40,19 @@ const fileSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    contentHash: {
+      type: String,
+      default: null, // SHA-256 of the content; files with equal hashes share one stored object
+    },
+    versionNumber: {
+      type: Number,
+      default: 1, // Incremented each time the content is replaced
+    },
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     parentFolder: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'File',
@@ -54,6 +75,37 @@ const fileSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    thumbnails: [
+      {
+        _id: false,
+        size: Number, // Longest edge in pixels
+        s3Key: String,
+      },
+    ],
+    thumbnailStatus: {
+      type: String,
+      enum: ['none', 'pending', 'ready', 'failed'],
+      default: 'none',
+    },
+    thumbnailQueuedAt: {
+      type: Date,
+      default: null, // When thumbnail generation was last queued
+    },
+    lastAccessedAt: {
+      type: Date,
+      default: null, // Last time the owner opened/downloaded the file
+    },
+    trashRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      default: null, // Set on descendants trashed along with a folder
+    },
+    tags: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag', // The owner's tags; names and colors live on the Tag
+      },
+    ],
   },
   {
     timestamps: true,
@@ -64,6 +116,10 @@ const fileSchema = new mongoose.Schema(
 fileSchema.index({ owner: 1, parentFolder: 1 });
 fileSchema.index({ owner: 1, isTrashed: 1 });
 fileSchema.index({ owner: 1, path: 1 });
+fileSchema.index({ isTrashed: 1, trashRoot: 1, trashedAt: 1 });
+fileSchema.index({ owner: 1, isStarred: 1, updatedAt: -1 });
+fileSchema.index({ owner: 1, type: 1, size: -1 });
+fileSchema.index({ owner: 1, tags: 1 });
 
 // Method to get file extension
 fileSchema.methods.getExtension = function () {
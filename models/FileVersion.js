@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const fileVersionSchema = new mongoose.Schema(
+  {
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    versionNumber: {
+      type: Number,
+      required: true,
+    },
+    s3Key: {
+      type: String,
+      required: true,
+    },
+    contentHash: {
+      type: String,
+      default: null,
+    },
+    mimeType: {
+      type: String,
+      default: null,
+    },
+    size: {
+      type: Number,
+      default: 0, // in bytes
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    uploadedAt: {
+      type: Date,
+      default: null, // When this content was originally uploaded
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+fileVersionSchema.index({ file: 1, versionNumber: -1 });
+
+const FileVersion = mongoose.model('FileVersion', fileVersionSchema);
+
+module.exports = FileVersion;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const permissionSchema = new mongoose.Schema(
+  {
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    grantee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'commenter', 'editor'],
+      required: [true, 'Role is required'],
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One grant per user per file/folder
+permissionSchema.index({ file: 1, grantee: 1 }, { unique: true });
+permissionSchema.index({ grantee: 1 });
+
+const Permission = mongoose.model('Permission', permissionSchema);
+
+module.exports = Permission;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const shareLinkSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ['view', 'download'],
+      default: 'download',
+    },
+    password: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    hasPassword: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // null means the link never expires
+    },
+    maxDownloads: {
+      type: Number,
+      default: null, // null means unlimited downloads
+      min: [1, 'Max downloads must be at least 1'],
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    accessCount: {
+      type: Number,
+      default: 0,
+    },
+    lastAccessedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shareLinkSchema.index({ owner: 1, file: 1 });
+
+// Hash link password before saving
+shareLinkSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+
+  this.hasPassword = Boolean(this.password);
+  if (!this.password) return;
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+});
+
+// Compare a candidate password with the link password
+shareLinkSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return true;
+  if (!candidatePassword) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Check if the link has expired
+shareLinkSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt) && this.expiresAt < Date.now();
+};
+
+// Never expose the password hash
+shareLinkSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  },
+});
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
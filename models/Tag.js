@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Tag name is required'],
+      trim: true,
+      maxlength: [50, 'Tag name cannot be longer than 50 characters'],
+    },
+    color: {
+      type: String,
+      default: '#5f6368',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #1a73e8'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Tag names are unique per user, ignoring case
+tagSchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true, // Owner of the destination folder, charged for the file
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      default: 'application/octet-stream',
+    },
+    size: {
+      type: Number,
+      required: [true, 'File size is required'],
+      min: [1, 'File size must be greater than 0'],
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    parentFolder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      default: null,
+    },
+    s3Key: {
+      type: String,
+      required: true,
+    },
+    uploadId: {
+      type: String,
+      required: true, // S3 multipart upload id
+    },
+    partSize: {
+      type: Number,
+      required: true,
+    },
+    totalParts: {
+      type: Number,
+      required: true,
+    },
+    parts: [
+      {
+        _id: false,
+        partNumber: Number,
+        etag: String,
+        size: Number,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['active', 'completing', 'completed', 'aborted'],
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ uploadedBy: 1, status: 1 });
+
+// Size in bytes expected for a given part number
+uploadSessionSchema.methods.getExpectedPartSize = function (partNumber) {
+  if (partNumber < this.totalParts) return this.partSize;
+  return this.size - this.partSize * (this.totalParts - 1);
+};
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+module.exports = UploadSession;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const uploadTicketSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true, // Owner of the destination folder, charged for the file
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      default: 'application/octet-stream',
+    },
+    size: {
+      type: Number,
+      required: [true, 'File size is required'],
+      min: [1, 'File size must be greater than 0'],
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    parentFolder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      default: null,
+    },
+    s3Key: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ['PUT', 'POST'],
+      default: 'PUT',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'finalized', 'rejected', 'expired'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+uploadTicketSchema.index({ status: 1, expiresAt: 1 });
+uploadTicketSchema.index({ uploadedBy: 1, status: 1 });
+
+const UploadTicket = mongoose.model('UploadTicket', uploadTicketSchema);
+
+module.exports = UploadTicket;
@@ -27,6 +27,11 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
       select: false,
     },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
     isActive: {
       type: Boolean,
       default: false,
@@ -47,6 +52,44 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    passwordChangedAt: {
+      type: Date,
+      default: null, // Access tokens issued before this are rejected
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      default: null, // Set during enrollment until the first code is confirmed
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null, // A code can't be used twice
+      select: false,
+    },
+    twoFactorFailedAttempts: {
+      type: Number,
+      default: 0, // Consecutive wrong codes across logins, reset by a correct one
+      select: false,
+    },
+    twoFactorLockedUntil: {
+      type: Date,
+      default: null, // Codes are refused until then after too many failures
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      default: [],
+      select: false,
+    },
     storageUsed: {
       type: Number,
       default: 0,
@@ -69,8 +112,21 @@ userSchema.pre("save", async function () {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Back-dated a second since token "iat" claims only have second precision
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
 });
 
+//
+// ✅ Was the password changed after a token was issued?
+//
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 //
 // ✅ Compare password (login)
 //
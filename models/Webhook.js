@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    events: {
+      type: [String], // Event types, or ['*'] for all events
+      default: ['*'],
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // Used to sign deliveries; only shown when created or rotated
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+    disabledReason: {
+      type: String,
+      default: null,
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ owner: 1, isActive: 1 });
+
+// Check if webhook subscribes to an event type
+webhookSchema.methods.subscribesTo = function (eventType) {
+  return this.events.includes('*') || this.events.includes(eventType);
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getActivityFeed } = require('../controllers/activityController');
+const { protect } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getActivityFeed);
+
+module.exports = router;
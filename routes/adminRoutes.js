@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  getUser,
+  updateStorageLimit,
+  updateStatus,
+  updateRole,
+  forcePasswordReset,
+  reconcileUser,
+  deleteUser,
+  getAuditLog,
+} = require('../controllers/adminController');
+const { protect, requireAdmin } = require('../middleware/auth');
+
+// All routes require an admin
+router.use(protect, requireAdmin);
+
+// Audit trail of admin actions
+router.get('/audit', getAuditLog);
+
+// User and quota management
+router.get('/users', listUsers);
+router.get('/users/:id', getUser);
+router.patch('/users/:id/storage-limit', updateStorageLimit);
+router.patch('/users/:id/status', updateStatus);
+router.patch('/users/:id/role', updateRole);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.post('/users/:id/reconcile', reconcileUser);
+router.delete('/users/:id', deleteUser);
+
+module.exports = router;
@@ -3,21 +3,51 @@ const router = express.Router();
 const {
   register,
   activateAccount,
+  resendActivation,
   login,
   forgotPassword,
   resetPassword,
+  refreshToken,
+  logout,
   verifyToken,
 } = require('../controllers/authController');
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} = require('../controllers/sessionController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
 const { protect } = require('../middleware/auth');
 
 // Public routes
 router.post('/register', register);
 router.get('/activate/:token', activateAccount);
+router.post('/resend-activation', resendActivation);
 router.post('/login', login);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password/:token', resetPassword);
+router.post('/refresh', refreshToken);
+router.post('/2fa/verify', verifyTwoFactor);
 
 // Protected routes
 router.get('/verify', protect, verifyToken);
+router.post('/logout', protect, logout);
+
+// Session (device) management
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -5,24 +5,142 @@ const {
   getFileById,
   createFolder,
   uploadFile,
+  uploadByHash,
   downloadFile,
   deleteFile,
+  getTrash,
+  restoreFile,
+  deleteFilePermanently,
+  emptyTrash,
   updateFile,
   toggleStarred,
   moveFile, // NEW: Import moveFile
+  copyFile,
 } = require('../controllers/fileController');
+const {
+  addShare,
+  getShares,
+  updateShare,
+  removeShare,
+  getSharedWithMe,
+} = require('../controllers/shareController');
+const { createLink, getLinks, revokeLink } = require('../controllers/linkController');
+const {
+  getVersions,
+  downloadVersion,
+  restoreVersion,
+  deleteVersion,
+} = require('../controllers/versionController');
+const {
+  initiateUpload,
+  uploadChunk,
+  getUploadStatus,
+  completeUpload,
+  abortUpload,
+  createUploadTicket,
+  finalizeUpload,
+} = require('../controllers/uploadController');
+const { downloadZip } = require('../controllers/archiveController');
+const { batchOperation } = require('../controllers/batchController');
+const { getStarred, getRecent, getLarge } = require('../controllers/viewController');
+const { getThumbnail, getPreview } = require('../controllers/previewController');
+const { getFileActivity } = require('../controllers/activityController');
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  resolveThread,
+  reopenThread,
+} = require('../controllers/commentController');
+const { attachTags, detachTag } = require('../controllers/tagController');
+const { resolvePath, getBreadcrumbs, getFolderTree } = require('../controllers/treeController');
 const { protect } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const rawChunk = require('../middleware/rawChunk');
 
 // All routes are protected
 router.use(protect);
 
+// Trash routes (declared before /:id so "trash" isn't treated as an id)
+router.get('/trash', getTrash);
+router.delete('/trash', emptyTrash);
+router.post('/:id/restore', restoreFile);
+router.delete('/:id/permanent', deleteFilePermanently);
+
+// Quick-access views
+router.get('/starred', getStarred);
+router.get('/recent', getRecent);
+router.get('/large', getLarge);
+
+// Path addressing and folder hierarchy
+router.get('/resolve', resolvePath);
+router.get('/tree', getFolderTree);
+router.get('/:id/breadcrumbs', getBreadcrumbs);
+
+// Bulk operations on many files/folders
+router.post('/batch', batchOperation);
+
+// Resumable upload routes
+router.post('/uploads', initiateUpload);
+router.get('/uploads/:sessionId', getUploadStatus);
+router.put('/uploads/:sessionId/parts/:partNumber', rawChunk, uploadChunk);
+router.post('/uploads/:sessionId/complete', completeUpload);
+router.delete('/uploads/:sessionId', abortUpload);
+
+// Direct-to-S3 upload routes
+router.post('/direct-uploads', createUploadTicket);
+router.post('/direct-uploads/:ticketId/finalize', finalizeUpload);
+
+// Sharing routes
+router.get('/shared-with-me', getSharedWithMe);
+router.get('/:id/shares', getShares);
+router.post('/:id/shares', addShare);
+router.patch('/:id/shares/:shareId', updateShare);
+router.delete('/:id/shares/:shareId', removeShare);
+
+// Public share link routes
+router.get('/links', getLinks);
+router.delete('/links/:linkId', revokeLink);
+router.get('/:id/links', getLinks);
+router.post('/:id/links', createLink);
+
+// Version history routes
+router.get('/:id/versions', getVersions);
+router.get('/:id/versions/:versionId/download', downloadVersion);
+router.post('/:id/versions/:versionId/restore', restoreVersion);
+router.delete('/:id/versions/:versionId', deleteVersion);
+
 // File and folder routes
 router.get('/', getFiles);
 router.get('/:id', getFileById);
 router.post('/folder', createFolder);
 router.post('/upload', upload.single('file'), uploadFile);
+router.post('/upload/hash', uploadByHash);
 router.get('/download/:id', downloadFile);
+
+// Activity of a file or folder subtree
+router.get('/:id/activity', getFileActivity);
+
+// Comment routes
+router.get('/:id/comments', getComments);
+router.post('/:id/comments', addComment);
+router.patch('/:id/comments/:commentId', updateComment);
+router.delete('/:id/comments/:commentId', deleteComment);
+router.post('/:id/comments/:commentId/resolve', resolveThread);
+router.post('/:id/comments/:commentId/reopen', reopenThread);
+
+// Tag routes
+router.post('/:id/tags', attachTags);
+router.delete('/:id/tags/:tagId', detachTag);
+
+// Thumbnails and inline previews
+router.get('/:id/thumbnail', getThumbnail);
+router.get('/:id/preview', getPreview);
+
+// ZIP download of a folder or a selection of files/folders
+router.post('/zip', downloadZip);
+router.get('/:id/zip', downloadZip);
 router.delete('/:id', deleteFile);
 router.put('/:id', updateFile);
 
@@ -32,4 +150,7 @@ router.patch('/:id/starred', toggleStarred);
 // NEW: Move file/folder to another location
 router.patch('/:id/move', moveFile);
 
+// Copy file/folder (optionally into another folder)
+router.post('/:id/copy', copyFile);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  openLink,
+  downloadLinkFile,
+  viewLinkFile,
+} = require('../controllers/linkController');
+const { linkPasswordLimiter } = require('../middleware/rateLimit');
+
+// Public share link routes (no authentication); password guesses are rate limited
+router.get('/:token', linkPasswordLimiter, openLink);
+router.get('/:token/download', linkPasswordLimiter, downloadLinkFile);
+router.get('/:token/view', linkPasswordLimiter, viewLinkFile);
+
+module.exports = router;
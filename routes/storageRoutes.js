@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { serveLocalFile, receiveLocalUpload } = require('../controllers/storageController');
+const { reconcileUsage, getStorageSummary } = require('../controllers/usageController');
+const { protect } = require('../middleware/auth');
+
+// Signed URL routes for the local storage driver (no authentication)
+router.get('/local', serveLocalFile);
+router.put('/local', receiveLocalUpload);
+
+// Storage usage of the logged-in user
+router.get('/summary', protect, getStorageSummary);
+router.post('/reconcile', protect, reconcileUsage);
+
+module.exports = router;
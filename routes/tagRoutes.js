@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getTags, createTag, updateTag, deleteTag } = require('../controllers/tagController');
+const { protect } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+router.route('/').get(getTags).post(createTag);
+
+router.route('/:id').patch(updateTag).delete(deleteTag);
+
+module.exports = router;
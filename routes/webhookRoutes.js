@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getDeliveries,
+} = require('../controllers/webhookController');
+const { protect } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+router.route('/').get(getWebhooks).post(createWebhook);
+
+router.route('/:id').patch(updateWebhook).delete(deleteWebhook);
+
+router.post('/:id/rotate-secret', rotateWebhookSecret);
+router.post('/:id/test', testWebhook);
+router.get('/:id/deliveries', getDeliveries);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * One-shot recomputation of folder sizes and item counts for every user.
+ * Needed once for folders created before the totals were kept up to date;
+ * the quota reconciler job corrects any later drift.
+ *
+ * Usage: npm run recompute-folder-stats
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const File = require('../models/File');
+const { recomputeFolderStats } = require('../utils/folderStats');
+
+const run = async () => {
+  await connectDB();
+
+  const ownerIds = await File.distinct('owner');
+  let fixed = 0;
+
+  for (const ownerId of ownerIds) {
+    const result = await recomputeFolderStats(ownerId);
+    fixed += result.fixed;
+  }
+
+  console.log(`Folder totals recomputed: ${fixed} folders updated for ${ownerIds.length} users`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Folder totals error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+/**
+ * One-shot repair of materialized paths (File.path) for every user.
+ * Folder renames used to leave the paths of their contents stale.
+ *
+ * Usage: npm run repair-paths
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const File = require('../models/File');
+const { repairPaths } = require('../utils/fileTree');
+
+const run = async () => {
+  await connectDB();
+
+  const ownerIds = await File.distinct('owner');
+  let fixed = 0;
+
+  for (const ownerId of ownerIds) {
+    const result = await repairPaths(ownerId);
+    fixed += result.fixed;
+
+    if (result.fixed > 0 || result.orphans.length > 0) {
+      console.log(
+        `User ${ownerId}: checked ${result.checked}, fixed ${result.fixed}, orphans ${result.orphans.length}`
+      );
+    }
+    if (result.orphans.length > 0) {
+      console.log(`  Items whose parent folder is missing: ${result.orphans.join(', ')}`);
+    }
+  }
+
+  console.log(`Path repair finished: ${fixed} paths fixed for ${ownerIds.length} users`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Path repair error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
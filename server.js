@@ -4,16 +4,49 @@ const cors = require('cors');
 const connectDB = require('./config/database');
 const authRoutes = require('./routes/authRoutes');
 const fileRoutes = require('./routes/fileRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+const storageRoutes = require('./routes/storageRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const activityRoutes = require('./routes/activityRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const { startTrashPurger } = require('./jobs/trashPurger');
+const { startUploadCleanup } = require('./jobs/uploadCleanup');
+const { startQuotaReconciler } = require('./jobs/quotaReconciler');
+const { startWebhookDispatcher } = require('./jobs/webhookDispatcher');
+const { requeuePendingThumbnails } = require('./utils/thumbnails');
 
 const app = express();
 connectDB();
 
 app.use(cors({ origin: '*' })); // Quick fix for demo
+
+// Mounted before the JSON parser so uploaded JSON files reach the route as a raw stream
+app.use('/api/storage', storageRoutes);
+
 app.use(express.json());
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/tags', tagRoutes);
+
+// Background jobs
+startTrashPurger();
+startUploadCleanup();
+startQuotaReconciler();
+startWebhookDispatcher();
+
+// Thumbnails queued before the last restart were lost with the in-memory queue
+requeuePendingThumbnails()
+  .then((count) => {
+    if (count > 0) console.log(`Requeued ${count} pending thumbnail(s)`);
+  })
+  .catch((error) => console.error('Thumbnail requeue error:', error));
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server on ${PORT}`));
\ No newline at end of file
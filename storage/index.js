@@ -0,0 +1,36 @@
+/**
+ * Storage backend selected by STORAGE_DRIVER ('s3' or 'local').
+ * Every driver implements the same functions, so callers never talk to S3 directly.
+ */
+const drivers = {
+  s3: () => require('./s3Driver'),
+  local: () => require('./localDriver'),
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown storage driver: ${driverName}`);
+}
+
+const driver = drivers[driverName]();
+
+const { isActiveContentType } = require('../utils/fileCategories');
+
+/**
+ * Generate a signed URL for reading a file's content. HTML, SVG and XML are always
+ * served as attachments, since opened inline they could run scripts.
+ * @param {Object} file - File document (needs s3Key, name and mimeType)
+ * @param {Object} options - disposition ('attachment' or 'inline') and expiresIn (seconds)
+ * @returns {Promise<string>} Signed URL
+ */
+const getFileUrl = (file, { disposition = 'attachment', expiresIn = 3600 } = {}) => {
+  const safeDisposition = isActiveContentType(file.mimeType) ? 'attachment' : disposition;
+  return driver.getSignedUrl(file.s3Key, { fileName: file.name, disposition: safeDisposition, expiresIn });
+};
+
+module.exports = {
+  ...driver,
+  driverName,
+  getFileUrl,
+};
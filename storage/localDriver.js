@@ -0,0 +1,254 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+
+const root = () => path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', 'uploads'));
+const metaRoot = () => path.join(root(), '.meta');
+const multipartRoot = () => path.join(root(), '.multipart');
+
+/**
+ * Helper function to map a key to a path inside the storage root
+ */
+const resolvePath = (key) => {
+  const fullPath = path.resolve(root(), key);
+  if (!fullPath.startsWith(root() + path.sep) || fullPath.startsWith(metaRoot()) || fullPath.startsWith(multipartRoot())) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return fullPath;
+};
+
+const metaPath = (key) => path.join(metaRoot(), `${key}.json`);
+
+const writeMeta = async (key, meta) => {
+  await fsp.mkdir(path.dirname(metaPath(key)), { recursive: true });
+  await fsp.writeFile(metaPath(key), JSON.stringify(meta));
+};
+
+const readMeta = async (key) => {
+  try {
+    return JSON.parse(await fsp.readFile(metaPath(key), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Sign the parameters of a local storage URL
+ * @param {Object} params - method, key, expires and any other signed fields
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+const sign = (params) => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  const payload = [
+    params.method,
+    params.key,
+    params.expires,
+    params.disposition || '',
+    params.filename || '',
+    params.size || '',
+    params.contentType || '',
+  ].join('\n');
+
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Check the signature and expiry of a local storage URL
+ * @param {string} method - HTTP method of the request
+ * @param {Object} query - Query string of the request
+ * @returns {boolean} True if the URL is valid
+ */
+const verifySignature = (method, query) => {
+  if (!query.key || !query.expires || !query.signature) return false;
+  if (Number(query.expires) * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(sign({ ...query, method }), 'hex');
+  const actual = Buffer.from(String(query.signature), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Helper function to build a signed URL pointing at the local storage route
+ */
+const buildSignedUrl = (method, params, expiresIn) => {
+  const baseUrl = process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const query = {
+    ...params,
+    expires: String(Math.floor(Date.now() / 1000) + expiresIn),
+  };
+  query.signature = sign({ ...query, method });
+
+  return `${baseUrl}/api/storage/local?${new URLSearchParams(query).toString()}`;
+};
+
+/**
+ * Store an object
+ * @param {string} key - Key of the object to create
+ * @param {Buffer|Readable} body - Object content
+ * @param {Object} options - contentType
+ */
+const putObject = async (key, body, { contentType } = {}) => {
+  const filePath = resolvePath(key);
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    await fsp.writeFile(filePath, body);
+  } else {
+    await pipeline(body, fs.createWriteStream(filePath));
+  }
+
+  await writeMeta(key, { contentType: contentType || 'application/octet-stream' });
+};
+
+/**
+ * Open a stored object for reading
+ * @param {string} key - Key of the object
+ * @returns {Promise<Readable>} Object content stream
+ */
+const getObjectStream = async (key) => {
+  const filePath = resolvePath(key);
+  await fsp.access(filePath);
+  return fs.createReadStream(filePath);
+};
+
+/**
+ * Delete a stored object (missing objects are ignored, like S3)
+ * @param {string} key - Key of the object to delete
+ */
+const deleteObject = async (key) => {
+  await fsp.rm(resolvePath(key), { force: true });
+  await fsp.rm(metaPath(key), { force: true });
+};
+
+/**
+ * Copy a stored object
+ * @param {string} sourceKey - Key of the object to copy
+ * @param {string} destinationKey - Key of the new object
+ */
+const copyObject = async (sourceKey, destinationKey) => {
+  const destinationPath = resolvePath(destinationKey);
+  await fsp.mkdir(path.dirname(destinationPath), { recursive: true });
+  await fsp.copyFile(resolvePath(sourceKey), destinationPath);
+  await writeMeta(destinationKey, await readMeta(sourceKey));
+};
+
+/**
+ * Read the metadata of a stored object
+ * @param {string} key - Key of the object
+ * @returns {Promise<{size: number, contentType: string}|null>} null if the object doesn't exist
+ */
+const headObject = async (key) => {
+  try {
+    const stats = await fsp.stat(resolvePath(key));
+    const meta = await readMeta(key);
+    return { size: stats.size, contentType: meta.contentType || 'application/octet-stream' };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Generate a signed URL for reading a stored object through the local storage route
+ * @param {string} key - Key of the object
+ * @param {Object} options - fileName, disposition ('attachment' or 'inline') and expiresIn (seconds)
+ * @returns {Promise<string>} Signed URL
+ */
+const getSignedUrl = async (key, { fileName, disposition = 'attachment', expiresIn = 3600 } = {}) => {
+  return buildSignedUrl('GET', { key, disposition, filename: fileName || path.basename(key) }, expiresIn);
+};
+
+/**
+ * Generate a signed PUT URL the client can upload an object to directly
+ * @param {string} key - Key of the object to create
+ * @param {Object} options - contentType, size (bytes) and expiresIn (seconds)
+ * @returns {Promise<string>} Signed URL
+ */
+const getUploadUrl = async (key, { contentType, size, expiresIn = 900 }) => {
+  return buildSignedUrl('PUT', { key, size: String(size), contentType }, expiresIn);
+};
+
+/**
+ * POST policies are an S3 feature; the local driver only supports PUT uploads
+ */
+const getUploadPost = async () => {
+  throw new Error('The local storage driver only supports PUT uploads');
+};
+
+/**
+ * Start a multipart upload (parts are kept in a temporary directory)
+ * @returns {Promise<string>} Multipart upload id
+ */
+const createMultipartUpload = async (key, contentType) => {
+  resolvePath(key);
+  const uploadId = uuidv4();
+  const uploadDir = path.join(multipartRoot(), uploadId);
+  await fsp.mkdir(uploadDir, { recursive: true });
+  await fsp.writeFile(path.join(uploadDir, 'upload.json'), JSON.stringify({ key, contentType }));
+  return uploadId;
+};
+
+/**
+ * Upload one part of a multipart upload
+ * @returns {Promise<string>} MD5 of the stored part
+ */
+const uploadPart = async (key, uploadId, partNumber, body) => {
+  const uploadDir = path.join(multipartRoot(), path.basename(uploadId));
+  await fsp.access(uploadDir);
+  await fsp.writeFile(path.join(uploadDir, `${partNumber}.part`), body);
+  return crypto.createHash('md5').update(body).digest('hex');
+};
+
+/**
+ * Assemble uploaded parts into the final object
+ * @param {Array} parts - [{ partNumber, etag }] in any order
+ */
+const completeMultipartUpload = async (key, uploadId, parts) => {
+  const uploadDir = path.join(multipartRoot(), path.basename(uploadId));
+  const { contentType } = JSON.parse(await fsp.readFile(path.join(uploadDir, 'upload.json'), 'utf8'));
+  const sortedParts = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+
+  const filePath = resolvePath(key);
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  for (const part of sortedParts) {
+    await pipeline(fs.createReadStream(path.join(uploadDir, `${part.partNumber}.part`)), output, { end: false });
+  }
+  output.end();
+  await new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+  });
+
+  await writeMeta(key, { contentType });
+  await fsp.rm(uploadDir, { recursive: true, force: true });
+};
+
+/**
+ * Abort a multipart upload and discard its parts
+ */
+const abortMultipartUpload = async (key, uploadId) => {
+  await fsp.rm(path.join(multipartRoot(), path.basename(uploadId)), { recursive: true, force: true });
+};
+
+module.exports = {
+  supportsUploadPost: false,
+  putObject,
+  getObjectStream,
+  deleteObject,
+  copyObject,
+  headObject,
+  getSignedUrl,
+  getUploadUrl,
+  getUploadPost,
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  verifySignature,
+};
@@ -0,0 +1,232 @@
+const {
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+const contentDisposition = require('content-disposition');
+const { createPresignedPost } = require('@aws-sdk/s3-presigned-post');
+const s3Client = require('../config/aws');
+
+const bucket = () => process.env.AWS_BUCKET_NAME;
+
+/**
+ * Store an object
+ * @param {string} key - Key of the object to create
+ * @param {Buffer|Readable} body - Object content
+ * @param {Object} options - contentType and size (bytes, required for streams)
+ */
+const putObject = async (key, body, { contentType, size } = {}) => {
+  await s3Client.send(
+    new PutObjectCommand({
+      Bucket: bucket(),
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ContentLength: size,
+    })
+  );
+};
+
+/**
+ * Open a stored object for reading
+ * @param {string} key - Key of the object
+ * @returns {Promise<Readable>} Object content stream
+ */
+const getObjectStream = async (key) => {
+  const { Body } = await s3Client.send(
+    new GetObjectCommand({
+      Bucket: bucket(),
+      Key: key,
+    })
+  );
+  return Body;
+};
+
+/**
+ * Delete a stored object
+ * @param {string} key - Key of the object to delete
+ */
+const deleteObject = async (key) => {
+  await s3Client.send(
+    new DeleteObjectCommand({
+      Bucket: bucket(),
+      Key: key,
+    })
+  );
+};
+
+/**
+ * Copy a stored object server-side
+ * @param {string} sourceKey - Key of the object to copy
+ * @param {string} destinationKey - Key of the new object
+ */
+const copyObject = async (sourceKey, destinationKey) => {
+  await s3Client.send(
+    new CopyObjectCommand({
+      Bucket: bucket(),
+      Key: destinationKey,
+      CopySource: `${bucket()}/${encodeURIComponent(sourceKey)}`,
+    })
+  );
+};
+
+/**
+ * Read the metadata of a stored object
+ * @param {string} key - Key of the object
+ * @returns {Promise<{size: number, contentType: string}|null>} null if the object doesn't exist
+ */
+const headObject = async (key) => {
+  try {
+    const result = await s3Client.send(
+      new HeadObjectCommand({
+        Bucket: bucket(),
+        Key: key,
+      })
+    );
+    return { size: result.ContentLength, contentType: result.ContentType };
+  } catch (s3Error) {
+    if (s3Error.name === 'NotFound' || s3Error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw s3Error;
+  }
+};
+
+/**
+ * Generate a pre-signed URL for reading a stored object
+ * @param {string} key - Key of the object
+ * @param {Object} options - fileName, disposition ('attachment' or 'inline') and expiresIn (seconds)
+ * @returns {Promise<string>} Pre-signed URL
+ */
+const getSignedUrl = async (key, { fileName, disposition = 'attachment', expiresIn = 3600 } = {}) => {
+  const command = new GetObjectCommand({
+    Bucket: bucket(),
+    Key: key,
+    // Encoded like the local driver, so any file name gives a valid header
+    ResponseContentDisposition: contentDisposition(fileName, { type: disposition }),
+  });
+
+  return presign(s3Client, command, { expiresIn });
+};
+
+/**
+ * Generate a pre-signed PUT URL the client can upload an object to directly
+ * @param {string} key - Key of the object to create
+ * @param {Object} options - contentType, size (bytes) and expiresIn (seconds)
+ * @returns {Promise<string>} Pre-signed URL
+ */
+const getUploadUrl = async (key, { contentType, size, expiresIn = 900 }) => {
+  const command = new PutObjectCommand({
+    Bucket: bucket(),
+    Key: key,
+    ContentType: contentType,
+    ContentLength: size,
+  });
+
+  return presign(s3Client, command, { expiresIn });
+};
+
+/**
+ * Generate a pre-signed POST policy the client can upload an object with directly
+ * @param {string} key - Key of the object to create
+ * @param {Object} options - contentType, size (bytes) and expiresIn (seconds)
+ * @returns {Promise<{url: string, fields: Object}>} Form URL and fields
+ */
+const getUploadPost = async (key, { contentType, size, expiresIn = 900 }) => {
+  return createPresignedPost(s3Client, {
+    Bucket: bucket(),
+    Key: key,
+    Conditions: [['content-length-range', size, size]],
+    Fields: { 'Content-Type': contentType },
+    Expires: expiresIn,
+  });
+};
+
+/**
+ * Start a multipart upload
+ * @param {string} key - Key of the object to create
+ * @param {string} contentType - MIME type of the object
+ * @returns {Promise<string>} Multipart upload id
+ */
+const createMultipartUpload = async (key, contentType) => {
+  const { UploadId } = await s3Client.send(
+    new CreateMultipartUploadCommand({
+      Bucket: bucket(),
+      Key: key,
+      ContentType: contentType,
+    })
+  );
+  return UploadId;
+};
+
+/**
+ * Upload one part of a multipart upload
+ * @returns {Promise<string>} ETag of the stored part
+ */
+const uploadPart = async (key, uploadId, partNumber, body) => {
+  const { ETag } = await s3Client.send(
+    new UploadPartCommand({
+      Bucket: bucket(),
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+    })
+  );
+  return ETag;
+};
+
+/**
+ * Assemble uploaded parts into the final object
+ * @param {Array} parts - [{ partNumber, etag }] in any order
+ */
+const completeMultipartUpload = async (key, uploadId, parts) => {
+  const sortedParts = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+
+  await s3Client.send(
+    new CompleteMultipartUploadCommand({
+      Bucket: bucket(),
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: sortedParts.map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+      },
+    })
+  );
+};
+
+/**
+ * Abort a multipart upload and discard its parts
+ */
+const abortMultipartUpload = async (key, uploadId) => {
+  await s3Client.send(
+    new AbortMultipartUploadCommand({
+      Bucket: bucket(),
+      Key: key,
+      UploadId: uploadId,
+    })
+  );
+};
+
+module.exports = {
+  supportsUploadPost: true,
+  putObject,
+  getObjectStream,
+  deleteObject,
+  copyObject,
+  headObject,
+  getSignedUrl,
+  getUploadUrl,
+  getUploadPost,
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload,
+  abortMultipartUpload,
+};
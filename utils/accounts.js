@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Blob = require('../models/Blob');
+const Permission = require('../models/Permission');
+const ShareLink = require('../models/ShareLink');
+const Session = require('../models/Session');
+const UploadSession = require('../models/UploadSession');
+const UploadTicket = require('../models/UploadTicket');
+const Activity = require('../models/Activity');
+const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { deleteStoredObjects } = require('./trash');
+const { abortSession, discardTicket } = require('./uploadSessions');
+
+/**
+ * Remove the comments a user wrote on other people's files. Replies are deleted; a
+ * first comment others replied to stays as an authorless "[deleted]" placeholder so
+ * the replies keep their thread.
+ * @param {ObjectId} userId - User whose comments are removed
+ */
+const removeAuthoredComments = async (userId) => {
+  const repliedThreadIds = await Comment.find({ author: userId, parent: { $ne: null } }).distinct('parent');
+  await Comment.deleteMany({ author: userId, parent: { $ne: null } });
+
+  const threadIds = await Comment.find({ author: userId, parent: null }).distinct('_id');
+  const answeredIds = await Comment.find({ parent: { $in: threadIds } }).distinct('parent');
+
+  await Comment.updateMany(
+    { _id: { $in: answeredIds } },
+    { author: null, body: '[deleted]', mentions: [], deletedAt: new Date() }
+  );
+  await Comment.deleteMany({ _id: { $in: threadIds, $nin: answeredIds } });
+
+  // Placeholders whose last reply was one of this user's
+  const stillAnswered = await Comment.find({ parent: { $in: repliedThreadIds } }).distinct('parent');
+  await Comment.deleteMany({
+    _id: { $in: repliedThreadIds, $nin: stillAnswered },
+    deletedAt: { $ne: null },
+  });
+
+  await Comment.updateMany({ mentions: userId }, { $pull: { mentions: userId } });
+  await Comment.updateMany({ resolvedBy: userId }, { resolvedBy: null });
+};
+
+/**
+ * Delete a user together with all their files, versions, shares, sessions,
+ * uploads in progress, comments and stored objects
+ * @param {Object} user - User document
+ * @returns {Promise<{files: number, objects: number}>} Documents and stored objects removed
+ */
+const deleteUserAccount = async (user) => {
+  const userId = user._id;
+
+  const activeSessions = await UploadSession.find({ owner: userId, status: 'active' });
+  for (const session of activeSessions) {
+    await abortSession(session);
+  }
+
+  const pendingTickets = await UploadTicket.find({ owner: userId, status: 'pending' });
+  for (const ticket of pendingTickets) {
+    await discardTicket(ticket, 'rejected');
+  }
+
+  // Every stored object: deduplicated blobs, plus files, versions and thumbnails
+  const files = await File.find({ owner: userId, type: 'file' }).select('s3Key thumbnails');
+  const versions = await FileVersion.find({ owner: userId }).select('s3Key');
+  const blobs = await Blob.find({ owner: userId }).select('s3Key');
+
+  const keys = new Set();
+  for (const item of [...files, ...versions, ...blobs]) {
+    if (item.s3Key) keys.add(item.s3Key);
+  }
+  for (const file of files) {
+    (file.thumbnails || []).forEach((thumbnail) => keys.add(thumbnail.s3Key));
+  }
+
+  const fileIds = await File.find({ owner: userId }).distinct('_id');
+
+  await File.deleteMany({ owner: userId });
+  await FileVersion.deleteMany({ owner: userId });
+  await Blob.deleteMany({ owner: userId });
+  await Permission.deleteMany({ $or: [{ file: { $in: fileIds } }, { grantee: userId }] });
+  await ShareLink.deleteMany({ $or: [{ file: { $in: fileIds } }, { owner: userId }] });
+  await Session.deleteMany({ user: userId });
+  await UploadSession.deleteMany({ owner: userId });
+  await UploadTicket.deleteMany({ owner: userId });
+  await Activity.deleteMany({ owner: userId });
+  await Comment.deleteMany({ owner: userId });
+  await removeAuthoredComments(userId);
+  await Tag.deleteMany({ owner: userId });
+  await WebhookDelivery.deleteMany({ owner: userId });
+  await Webhook.deleteMany({ owner: userId });
+  await User.deleteOne({ _id: userId });
+
+  await deleteStoredObjects([...keys]);
+
+  return { files: fileIds.length, objects: keys.size };
+};
+
+module.exports = {
+  deleteUserAccount,
+};
@@ -0,0 +1,51 @@
+const Activity = require('../models/Activity');
+const { emitActivityEvent } = require('./webhooks');
+
+/**
+ * Number of days activity events are kept
+ * @returns {number} Retention period in days
+ */
+const getActivityRetentionDays = () => {
+  return parseInt(process.env.ACTIVITY_RETENTION_DAYS, 10) || 90;
+};
+
+/**
+ * Capture the name and location of a file/folder for an activity event
+ * @param {Object} file - File document
+ * @returns {{name: string, path: string}} Snapshot
+ */
+const snapshot = (file) => ({ name: file.name, path: file.path });
+
+/**
+ * Record an activity event and emit it to the owner's webhooks.
+ * Failures are logged and never fail the request.
+ * @param {Object} req - Express request (actor and IP)
+ * @param {string} action - Activity action
+ * @param {Object} file - File document the action was performed on
+ * @param {Object} changes - Optional before/after snapshots (after defaults to the file's current state)
+ */
+const recordActivity = async (req, action, file, { before = null, after = snapshot(file) } = {}) => {
+  try {
+    const activity = await Activity.create({
+      actor: req.user._id,
+      owner: file.owner,
+      file: file._id,
+      fileType: file.type,
+      action,
+      before,
+      after,
+      ipAddress: req.ip || null,
+      expiresAt: new Date(Date.now() + getActivityRetentionDays() * 24 * 60 * 60 * 1000),
+    });
+
+    await emitActivityEvent(activity, file, req.user);
+  } catch (error) {
+    console.error('Record activity error:', error);
+  }
+};
+
+module.exports = {
+  getActivityRetentionDays,
+  snapshot,
+  recordActivity,
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const Blob = require('../models/Blob');
+const File = require('../models/File');
+const { deleteObject, getObjectStream } = require('../storage');
+const { releaseStorage } = require('./quota');
+
+/**
+ * SHA-256 of a buffer, hex encoded
+ * @param {Buffer} buffer - Content
+ * @returns {string} Content hash
+ */
+const hashBuffer = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+/**
+ * SHA-256 of a stream, hex encoded
+ * @param {Readable} stream - Content
+ * @returns {Promise<string>} Content hash
+ */
+const hashStream = async (stream) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Check that a string looks like a SHA-256 hex digest
+ * @param {string} value - Client supplied hash
+ * @returns {boolean} True if valid
+ */
+const isValidHash = (value) => typeof value === 'string' && /^[a-f0-9]{64}$/i.test(value);
+
+/**
+ * Add a reference to the user's existing blob with this content
+ * @param {ObjectId} ownerId - Owner of the blob
+ * @param {string} hash - Content hash
+ * @returns {Promise<Object|null>} The blob, or null if the user has no such content
+ */
+const acquireBlob = async (ownerId, hash) => {
+  return Blob.findOneAndUpdate(
+    { owner: ownerId, hash: hash.toLowerCase() },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Record a newly stored object as a blob with one reference. If identical content
+ * was stored concurrently, the new object is deleted and the existing blob is used.
+ * @param {Object} data - owner, hash, s3Key, size and mimeType of the stored object
+ * @returns {Promise<{blob: Object, created: boolean}>} created is false if an existing blob was used
+ */
+const registerBlob = async ({ owner, hash, s3Key, size, mimeType }) => {
+  try {
+    const blob = await Blob.create({ owner, hash: hash.toLowerCase(), s3Key, size, mimeType });
+    return { blob, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const blob = await acquireBlob(owner, hash);
+    if (!blob) throw error;
+
+    try {
+      await deleteObject(s3Key);
+    } catch (storageError) {
+      console.error('Storage delete error:', storageError);
+    }
+
+    return { blob, created: false };
+  }
+};
+
+/**
+ * Drop one reference for each stored item (file or version). Blobs that reach zero
+ * references are removed; objects that were never registered as blobs are released directly.
+ * @param {ObjectId} ownerId - Owner of the items
+ * @param {Array} items - [{ s3Key, size }]
+ * @returns {Promise<{keys: Array<string>, freedBytes: number}>} Objects to delete and storage released
+ */
+const releaseBlobs = async (ownerId, items) => {
+  const keys = [];
+  let freedBytes = 0;
+
+  for (const item of items) {
+    const blob = await Blob.findOneAndUpdate(
+      { owner: ownerId, s3Key: item.s3Key },
+      { $inc: { refCount: -1 } },
+      { new: true }
+    );
+
+    if (!blob) {
+      keys.push(item.s3Key);
+      freedBytes += item.size;
+      continue;
+    }
+
+    if (blob.refCount <= 0) {
+      const removed = await Blob.deleteOne({ _id: blob._id, refCount: { $lte: 0 } });
+      if (removed.deletedCount > 0) {
+        keys.push(blob.s3Key);
+        freedBytes += blob.size;
+      }
+    }
+  }
+
+  return { keys, freedBytes };
+};
+
+/**
+ * Hash a file whose content was uploaded without passing through the server
+ * (resumable and direct uploads). If the owner already stores the same content,
+ * the file is pointed at it and the duplicate object is deleted.
+ * @param {Object} file - File document
+ */
+const indexContent = async (file) => {
+  const contentHash = await hashStream(await getObjectStream(file.s3Key));
+
+  let blob = await acquireBlob(file.owner, contentHash);
+
+  if (!blob) {
+    try {
+      const created = await Blob.create({
+        owner: file.owner,
+        hash: contentHash,
+        s3Key: file.s3Key,
+        size: file.size,
+        mimeType: file.mimeType,
+      });
+
+      const result = await File.updateOne(
+        { _id: file._id, s3Key: file.s3Key },
+        { contentHash },
+        { timestamps: false }
+      );
+
+      // The file was deleted or replaced while it was being hashed
+      if (result.matchedCount === 0) {
+        await Blob.deleteOne({ _id: created._id });
+      }
+      return;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      blob = await acquireBlob(file.owner, contentHash);
+      if (!blob) throw error;
+    }
+  }
+
+  const result = await File.updateOne(
+    { _id: file._id, s3Key: file.s3Key },
+    { s3Key: blob.s3Key, contentHash },
+    { timestamps: false }
+  );
+
+  if (result.matchedCount === 0) {
+    await Blob.updateOne({ _id: blob._id }, { $inc: { refCount: -1 } });
+    return;
+  }
+
+  // The duplicate upload is no longer referenced
+  await deleteObject(file.s3Key);
+
+  await releaseStorage(file.owner, file.size);
+};
+
+module.exports = {
+  hashBuffer,
+  hashStream,
+  isValidHash,
+  acquireBlob,
+  registerBlob,
+  releaseBlobs,
+  indexContent,
+};
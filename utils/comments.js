@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { hasRole, getAccessRole } = require('./permissions');
+const { sendMentionEmail } = require('./email');
+
+// "@jane@example.com" mentions jane@example.com
+const MENTION_PATTERN = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Extract the mentioned email addresses from a comment
+ * @param {string} body - Comment text
+ * @returns {Array<string>} Lowercased, unique email addresses
+ */
+const extractMentionEmails = (body) => {
+  const emails = new Set();
+  for (const match of String(body).matchAll(MENTION_PATTERN)) {
+    emails.add(match[2].toLowerCase());
+  }
+  return [...emails];
+};
+
+/**
+ * Find the users mentioned in a comment. Only active users who can see the file
+ * count, so a mention can't reveal the file to someone without access.
+ * @param {Object} file - File document being commented on
+ * @param {string} body - Comment text
+ * @param {ObjectId} authorId - Comment author (never mentioned)
+ * @returns {Promise<Array>} Mentioned user documents
+ */
+const resolveMentions = async (file, body, authorId) => {
+  const emails = extractMentionEmails(body);
+  if (emails.length === 0) return [];
+
+  const users = await User.find({
+    email: { $in: emails },
+    isActive: true,
+    _id: { $ne: authorId },
+  });
+
+  const mentioned = [];
+  for (const user of users) {
+    if (hasRole(await getAccessRole(file, user._id), 'viewer')) {
+      mentioned.push(user);
+    }
+  }
+  return mentioned;
+};
+
+/**
+ * Email mentioned users, logging (not throwing) individual failures
+ * @param {Array} users - Users to notify
+ * @param {Object} data - Comment author, file and comment
+ */
+const notifyMentions = async (users, { author, file, comment }) => {
+  for (const user of users) {
+    try {
+      await sendMentionEmail(user, { author, file, comment });
+    } catch (emailError) {
+      console.error('Mention email error:', emailError);
+    }
+  }
+};
+
+/**
+ * Count the comments (including replies) on each of the given files.
+ * Deleted first comments kept as placeholders for their replies don't count.
+ * @param {Array<ObjectId>} fileIds - File ids
+ * @returns {Promise<Map<string, number>>} Count by file id (files without comments are omitted)
+ */
+const getCommentCounts = async (fileIds) => {
+  if (fileIds.length === 0) return new Map();
+
+  const counts = await Comment.aggregate([
+    {
+      $match: {
+        file: { $in: fileIds.map((id) => new mongoose.Types.ObjectId(String(id))) },
+        deletedAt: null,
+      },
+    },
+    { $group: { _id: '$file', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((item) => [item._id.toString(), item.count]));
+};
+
+module.exports = {
+  extractMentionEmails,
+  resolveMentions,
+  notifyMentions,
+  getCommentCounts,
+};
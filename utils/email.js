@@ -0,0 +1,170 @@
+const transporter = require('../config/mail');
+
+// Helper function to escape text for HTML bodies
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Helper function to build a link into the frontend
+const getClientUrl = (pathname) => {
+  const baseUrl = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${baseUrl}${pathname}`;
+};
+
+/**
+ * Email templates. Each returns a subject, a greeting, paragraphs and an optional
+ * call-to-action button, which renderEmail turns into HTML and plain text bodies.
+ */
+const TEMPLATES = {
+  activation: ({ user, token }) => ({
+    subject: 'Activate your account',
+    greeting: `Hi ${user.firstName},`,
+    paragraphs: [
+      'Thanks for signing up! Please confirm your email address to activate your account.',
+      'This link expires in 24 hours.',
+    ],
+    action: { label: 'Activate account', url: getClientUrl(`/activate/${token}`) },
+    footer: "If you didn't create an account, you can ignore this email.",
+  }),
+
+  passwordReset: ({ user, token }) => ({
+    subject: 'Reset your password',
+    greeting: `Hi ${user.firstName},`,
+    paragraphs: [
+      'We received a request to reset the password for your account.',
+      'This link expires in 1 hour.',
+    ],
+    action: { label: 'Reset password', url: getClientUrl(`/reset-password/${token}`) },
+    footer: "If you didn't request a password reset, you can ignore this email. Your password won't change.",
+  }),
+
+  passwordChanged: ({ user }) => ({
+    subject: 'Your password was changed',
+    greeting: `Hi ${user.firstName},`,
+    paragraphs: [
+      `The password for ${user.email} was just changed and all devices were signed out.`,
+      "If this wasn't you, reset your password right away.",
+    ],
+    action: { label: 'Reset password', url: getClientUrl('/forgot-password') },
+    footer: null,
+  }),
+
+  commentMention: ({ user, author, file, comment }) => ({
+    subject: `${author.firstName} mentioned you on "${file.name}"`,
+    greeting: `Hi ${user.firstName},`,
+    paragraphs: [
+      `${author.firstName} ${author.lastName} (${author.email}) mentioned you in a comment on "${file.name}":`,
+      comment.body.length > 500 ? `${comment.body.slice(0, 500)}...` : comment.body,
+    ],
+    action: { label: 'Open comment', url: getClientUrl(`/files/${file._id}?comment=${comment._id}`) },
+    footer: null,
+  }),
+};
+
+/**
+ * Render a template into subject, HTML and plain text bodies
+ * @param {string} templateName - Key of TEMPLATES
+ * @param {Object} data - Template data
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ */
+const renderEmail = (templateName, data) => {
+  const template = TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template "${templateName}"`);
+  }
+
+  const { subject, greeting, paragraphs, action, footer } = template(data);
+
+  const text = [
+    greeting,
+    ...paragraphs,
+    action ? `${action.label}: ${action.url}` : null,
+    footer,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#202124;">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h2 style="margin-top:0;font-weight:normal;">${escapeHtml(subject)}</h2>
+      <p>${escapeHtml(greeting)}</p>
+      ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      ${action ? `<p style="margin:28px 0;"><a href="${escapeHtml(action.url)}" style="background:#1a73e8;color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;">${escapeHtml(action.label)}</a></p>
+      <p style="font-size:12px;color:#5f6368;">Or open this link: ${escapeHtml(action.url)}</p>` : ''}
+      ${footer ? `<p style="font-size:12px;color:#5f6368;">${escapeHtml(footer)}</p>` : ''}
+    </div>
+  </body>
+</html>`;
+
+  return { subject, html, text };
+};
+
+/**
+ * Render and send an email
+ * @param {string} to - Recipient address
+ * @param {string} templateName - Key of TEMPLATES
+ * @param {Object} data - Template data
+ */
+const sendEmail = async (to, templateName, data) => {
+  const { subject, html, text } = renderEmail(templateName, data);
+
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM || 'Google Drive Clone <no-reply@localhost>',
+    to,
+    subject,
+    html,
+    text,
+  });
+
+  // The JSON transport only builds the message. Bodies carry live tokens, so only the
+  // envelope is logged; use MAIL_TRANSPORT=file to read messages in development.
+  if (transporter.transporter.name === 'JSONTransport') {
+    console.log(`Email to ${to} (${subject}) was not sent: no mail transport configured`);
+  }
+
+  return info;
+};
+
+/**
+ * Send the account activation link
+ * @param {Object} user - User document
+ * @param {string} token - Activation token
+ */
+const sendActivationEmail = (user, token) => sendEmail(user.email, 'activation', { user, token });
+
+/**
+ * Send the password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Password reset token
+ */
+const sendPasswordResetEmail = (user, token) => sendEmail(user.email, 'passwordReset', { user, token });
+
+/**
+ * Notify a user that their password was changed
+ * @param {Object} user - User document
+ */
+const sendPasswordChangedEmail = (user) => sendEmail(user.email, 'passwordChanged', { user });
+
+/**
+ * Notify a user that they were mentioned in a comment
+ * @param {Object} user - Mentioned user
+ * @param {Object} data - Comment author, file and comment
+ */
+const sendMentionEmail = (user, { author, file, comment }) =>
+  sendEmail(user.email, 'commentMention', { user, author, file, comment });
+
+module.exports = {
+  renderEmail,
+  sendEmail,
+  sendActivationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendMentionEmail,
+};
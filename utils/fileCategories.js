@@ -0,0 +1,76 @@
+// MIME type patterns that make up each file category
+const CATEGORIES = {
+  images: [/^image\//],
+  video: [/^video\//],
+  audio: [/^audio\//],
+  documents: [
+    /^text\//,
+    /^application\/pdf$/,
+    /^application\/msword$/,
+    /^application\/vnd\.openxmlformats-officedocument\./,
+    /^application\/vnd\.ms-(excel|powerpoint)/,
+    /^application\/vnd\.oasis\.opendocument\./,
+    /^application\/rtf$/,
+    /^application\/json$/,
+  ],
+  archives: [
+    /^application\/zip$/,
+    /^application\/x-(7z|rar|tar|gzip|bzip2|xz)-compressed$/,
+    /^application\/x-(tar|gzip|bzip2|xz)$/,
+    /^application\/gzip$/,
+    /^application\/vnd\.rar$/,
+  ],
+};
+
+// Markup a browser would render as a page (and run scripts in) when served inline
+const ACTIVE_CONTENT_TYPES = new Set([
+  'text/html',
+  'application/xhtml+xml',
+  'image/svg+xml',
+  'text/xml',
+  'application/xml',
+]);
+
+/**
+ * Check whether a MIME type may run scripts when opened inline (HTML, SVG, XML)
+ * @param {string} mimeType - MIME type, optionally with parameters
+ * @returns {boolean} True if it must never be served inline with its own type
+ */
+const isActiveContentType = (mimeType) => {
+  if (!mimeType) return false;
+  return ACTIVE_CONTENT_TYPES.has(mimeType.split(';')[0].trim().toLowerCase());
+};
+
+/**
+ * Get the category a MIME type belongs to
+ * @param {string} mimeType - MIME type of a file
+ * @returns {string} Category name, or 'other'
+ */
+const getCategory = (mimeType) => {
+  if (!mimeType) return 'other';
+
+  for (const [category, patterns] of Object.entries(CATEGORIES)) {
+    if (patterns.some((pattern) => pattern.test(mimeType))) {
+      return category;
+    }
+  }
+
+  return 'other';
+};
+
+/**
+ * Build a Mongo condition matching the MIME types of a category
+ * @param {string} category - Category name
+ * @returns {Object|null} Condition on mimeType, or null for unknown categories
+ */
+const getCategoryCondition = (category) => {
+  if (!Object.hasOwn(CATEGORIES, category)) return null;
+  return { $in: CATEGORIES[category] };
+};
+
+module.exports = {
+  CATEGORIES,
+  getCategory,
+  getCategoryCondition,
+  isActiveContentType,
+};
@@ -0,0 +1,354 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const File = require('../models/File');
+const { findAccessibleFile } = require('./permissions');
+const {
+  getDescendants,
+  checkIfDescendant,
+  updateChildrenPaths,
+  normalizeName,
+  INVALID_NAME_MESSAGE,
+} = require('./fileTree');
+const Blob = require('../models/Blob');
+const { copyObject } = require('../storage');
+const { acquireBlob, registerBlob } = require('./blobs');
+const { reserveStorage, releaseStorage } = require('./quota');
+const { addToFolderStats, removeFromFolderStats } = require('./folderStats');
+
+/**
+ * Error raised when a file operation is not allowed; carries the HTTP status to respond with
+ */
+class FileOperationError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'FileOperationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Move a file/folder into another folder (or the root)
+ * @param {Object} file - File document being moved
+ * @param {string} role - Role of the user on the file
+ * @param {string|null} targetFolderId - Destination folder, null for root
+ * @param {ObjectId} userId - User performing the move
+ * @returns {Promise<Object>} The moved file
+ */
+const moveItem = async (file, role, targetFolderId, userId) => {
+  // Validate target folder (if not moving to root)
+  let newPath = '/';
+
+  if (targetFolderId) {
+    const { file: targetFolder } = await findAccessibleFile(targetFolderId, userId, 'editor', {
+      type: 'folder',
+      isTrashed: false,
+    });
+
+    if (!targetFolder) {
+      throw new FileOperationError(404, 'Target folder not found');
+    }
+
+    // Items can only move within their owner's drive
+    if (targetFolder.owner.toString() !== file.owner.toString()) {
+      throw new FileOperationError(400, 'Cannot move items into a folder owned by another user');
+    }
+
+    // Prevent moving a folder into itself or its own subfolder
+    if (file.type === 'folder') {
+      const isDescendant = await checkIfDescendant(targetFolderId, file._id);
+      if (file._id.toString() === targetFolderId.toString() || isDescendant) {
+        throw new FileOperationError(400, 'Cannot move a folder into itself or its subfolder');
+      }
+    }
+
+    newPath = `${targetFolder.path}${targetFolder.name}/`;
+  } else if (role !== 'owner') {
+    throw new FileOperationError(403, 'Only the owner can move this item to the root folder');
+  }
+
+  // Check if file/folder with same name exists in target location
+  const existing = await File.findOne({
+    name: file.name,
+    parentFolder: targetFolderId || null,
+    owner: file.owner,
+    type: file.type,
+    _id: { $ne: file._id },
+    isTrashed: false,
+  });
+
+  if (existing) {
+    throw new FileOperationError(400, 'A file/folder with this name already exists in the target location');
+  }
+
+  // Update file/folder parent and path
+  const previousParent = file.parentFolder;
+  file.parentFolder = targetFolderId || null;
+  file.path = newPath;
+  await file.save();
+
+  // Sizes and counts move from the old folders to the new ones
+  if (String(previousParent) !== String(file.parentFolder)) {
+    await removeFromFolderStats(file, previousParent);
+    await addToFolderStats(file);
+  }
+
+  // If it's a folder, update paths of all children recursively
+  if (file.type === 'folder') {
+    await updateChildrenPaths(file._id, newPath + file.name + '/');
+  }
+
+  return file;
+};
+
+/**
+ * Move a file/folder and all its descendants to trash
+ * @param {Object} file - File document to trash
+ * @returns {Promise<Object>} The trashed file
+ */
+const trashItem = async (file) => {
+  const trashedAt = new Date();
+
+  // If it's a folder, trash all contents along with it
+  if (file.type === 'folder') {
+    const descendants = await getDescendants(file._id, {
+      owner: file.owner,
+      isTrashed: false,
+    });
+
+    await File.updateMany(
+      { _id: { $in: descendants.map((item) => item._id) } },
+      { isTrashed: true, trashedAt, trashRoot: file._id }
+    );
+  }
+
+  file.isTrashed = true;
+  file.trashedAt = trashedAt;
+  file.trashRoot = null;
+  await file.save();
+
+  // Trashed items no longer count toward the folders they were in
+  await removeFromFolderStats(file);
+
+  return file;
+};
+
+/**
+ * Set the starred status of a file/folder
+ * @param {Object} file - File document
+ * @param {boolean} starred - New starred status
+ * @returns {Promise<Object>} The updated file
+ */
+const setStarred = async (file, starred) => {
+  file.isStarred = Boolean(starred);
+  await file.save();
+  return file;
+};
+
+/**
+ * Attach tags to, or detach tags from, a file/folder
+ * @param {Object} file - File document
+ * @param {Array<ObjectId>} tagIds - Tags of the file's owner
+ * @param {boolean} attach - True to attach, false to detach
+ * @returns {Promise<Object>} The updated file
+ */
+const setTags = async (file, tagIds, attach) => {
+  if (attach) {
+    file.tags.addToSet(...tagIds);
+  } else {
+    file.tags.pull(...tagIds);
+  }
+  await file.save();
+  return file;
+};
+
+/**
+ * Pick a name that doesn't collide in the target location.
+ * "report.pdf" becomes "Copy of report.pdf", then "Copy of report (1).pdf", ...
+ * @returns {Promise<string>} Available name
+ */
+const getAvailableName = async (desiredName, parentFolder, ownerId, type) => {
+  const siblings = await File.find({
+    parentFolder,
+    owner: ownerId,
+    type,
+    isTrashed: false,
+  }).select('name');
+  const taken = new Set(siblings.map((sibling) => sibling.name));
+
+  if (!taken.has(desiredName)) return desiredName;
+
+  const extension = type === 'file' ? path.extname(desiredName) : '';
+  const baseName = `Copy of ${path.basename(desiredName, extension)}`;
+
+  let candidate = `${baseName}${extension}`;
+  for (let i = 1; taken.has(candidate); i++) {
+    candidate = `${baseName} (${i})${extension}`;
+  }
+
+  return candidate;
+};
+
+/**
+ * Helper function to copy a file, or a folder and its contents, under a new parent.
+ * Copied bytes and created object keys are collected in `copied`.
+ */
+const copyNode = async (source, parent, ownerId, name, userId, copied) => {
+  const nodePath = parent ? `${parent.path}${parent.name}/` : '/';
+
+  if (source.type === 'file') {
+    // Content the owner already stores is referenced instead of copied
+    const existingBlob = source.contentHash
+      ? await acquireBlob(ownerId, source.contentHash)
+      : null;
+
+    let s3Key;
+    if (existingBlob) {
+      s3Key = existingBlob.s3Key;
+    } else {
+      const fileExtension = path.extname(name);
+      const fileName = path.basename(name, fileExtension);
+      s3Key = `${ownerId}/${uuidv4()}-${fileName}${fileExtension}`;
+
+      await copyObject(source.s3Key, s3Key);
+
+      let created = true;
+      if (source.contentHash) {
+        const registered = await registerBlob({
+          owner: ownerId,
+          hash: source.contentHash,
+          s3Key,
+          size: source.size,
+          mimeType: source.mimeType,
+        });
+        s3Key = registered.blob.s3Key;
+        created = registered.created;
+      }
+
+      if (created) {
+        copied.bytes += source.size;
+        copied.keys.push(s3Key);
+      }
+    }
+
+    const copy = await File.create({
+      name,
+      type: 'file',
+      mimeType: source.mimeType,
+      size: source.size,
+      path: nodePath,
+      s3Key,
+      contentHash: source.contentHash,
+      parentFolder: parent ? parent._id : null,
+      owner: ownerId,
+      lastModifiedBy: userId,
+    });
+    await addToFolderStats(copy);
+    return copy;
+  }
+
+  const folder = await File.create({
+    name,
+    type: 'folder',
+    path: nodePath,
+    parentFolder: parent ? parent._id : null,
+    owner: ownerId,
+  });
+  await addToFolderStats(folder);
+
+  const children = await File.find({
+    parentFolder: source._id,
+    owner: source.owner,
+    isTrashed: false,
+  });
+
+  for (const child of children) {
+    await copyNode(child, folder, ownerId, child.name, userId, copied);
+  }
+
+  return folder;
+};
+
+/**
+ * Copy a file, or a folder with all its contents, into another folder (or the root)
+ * @param {Object} file - File document to copy
+ * @param {string|null} targetFolderId - Destination folder, null for the user's root
+ * @param {string} name - Optional name for the copy
+ * @param {ObjectId} userId - User performing the copy
+ * @param {Array<string>} createdKeys - Optional list that receives the keys of created objects
+ * @returns {Promise<Object>} The new file/folder
+ */
+const copyItem = async (file, targetFolderId, name, userId, createdKeys = []) => {
+  const copyName = name ? normalizeName(name) : file.name;
+  if (!copyName) {
+    throw new FileOperationError(400, INVALID_NAME_MESSAGE);
+  }
+
+  // Copies land in the target folder's owner's drive (or the user's own root)
+  let targetFolder = null;
+  let ownerId = userId;
+
+  if (targetFolderId) {
+    ({ file: targetFolder } = await findAccessibleFile(targetFolderId, userId, 'editor', {
+      type: 'folder',
+      isTrashed: false,
+    }));
+
+    if (!targetFolder) {
+      throw new FileOperationError(404, 'Target folder not found');
+    }
+
+    // Prevent copying a folder into itself or its own subfolder
+    if (file.type === 'folder') {
+      const isDescendant = await checkIfDescendant(targetFolderId, file._id);
+      if (file._id.toString() === targetFolderId.toString() || isDescendant) {
+        throw new FileOperationError(400, 'Cannot copy a folder into itself or its subfolder');
+      }
+    }
+
+    ownerId = targetFolder.owner;
+  }
+
+  // Reserve storage before copying anything (content the owner already stores is free)
+  const sources = file.type === 'folder'
+    ? await getDescendants(file._id, { owner: file.owner, isTrashed: false })
+    : [file];
+  const storedFiles = sources.filter((item) => item.type === 'file');
+
+  const hashes = storedFiles.map((item) => item.contentHash).filter(Boolean);
+  const storedHashes = new Set(
+    (await Blob.find({ owner: ownerId, hash: { $in: hashes } }).select('hash')).map((blob) => blob.hash)
+  );
+
+  const totalSize = storedFiles
+    .filter((item) => !storedHashes.has(item.contentHash))
+    .reduce((total, item) => total + item.size, 0);
+
+  const reserved = await reserveStorage(ownerId, totalSize);
+  if (!reserved) {
+    throw new FileOperationError(400, 'Storage limit exceeded');
+  }
+
+  const availableName = await getAvailableName(
+    copyName,
+    targetFolder ? targetFolder._id : null,
+    ownerId,
+    file.type
+  );
+
+  const copied = { bytes: 0, keys: createdKeys };
+  try {
+    return await copyNode(file, targetFolder, ownerId, availableName, userId, copied);
+  } finally {
+    // Keep only what was actually copied charged
+    await releaseStorage(ownerId, totalSize - copied.bytes);
+  }
+};
+
+module.exports = {
+  FileOperationError,
+  moveItem,
+  trashItem,
+  setStarred,
+  setTags,
+  copyItem,
+};
@@ -0,0 +1,230 @@
+const File = require('../models/File');
+
+/**
+ * Collect every descendant of a folder, walking one level at a time
+ * @param {ObjectId} folderId - Folder to start from
+ * @param {Object} filter - Extra conditions applied at every level
+ * @returns {Promise<Array>} Descendant documents (excluding the folder itself)
+ */
+const getDescendants = async (folderId, filter = {}) => {
+  const descendants = [];
+  let parentIds = [folderId];
+
+  while (parentIds.length > 0) {
+    const children = await File.find({
+      ...filter,
+      parentFolder: { $in: parentIds },
+    });
+
+    descendants.push(...children);
+    parentIds = children.filter((child) => child.type === 'folder').map((child) => child._id);
+  }
+
+  return descendants;
+};
+
+/**
+ * Check if targetId is a descendant of folderId
+ * @param {ObjectId} targetId - Item to check
+ * @param {ObjectId} folderId - Possible ancestor folder
+ * @returns {Promise<boolean>} True if targetId is inside folderId
+ */
+const checkIfDescendant = async (targetId, folderId) => {
+  let current = await File.findById(targetId);
+
+  while (current && current.parentFolder) {
+    if (current.parentFolder.toString() === folderId.toString()) {
+      return true;
+    }
+    current = await File.findById(current.parentFolder);
+  }
+
+  return false;
+};
+
+/**
+ * Update the paths of everything inside a folder, one level at a time.
+ * Only the location changed, so the items' modification times are left alone.
+ * @param {ObjectId} folderId - Folder whose children moved
+ * @param {string} newParentPath - New path of the children (folder path + folder name + '/')
+ */
+const updateChildrenPaths = async (folderId, newParentPath) => {
+  const updates = [];
+  let childPaths = new Map([[folderId.toString(), newParentPath]]);
+
+  while (childPaths.size > 0) {
+    const children = await File.find({ parentFolder: { $in: [...childPaths.keys()] } })
+      .select('name type parentFolder')
+      .lean();
+
+    const nextPaths = new Map();
+    for (const child of children) {
+      const childPath = childPaths.get(child.parentFolder.toString());
+      updates.push({
+        updateOne: {
+          filter: { _id: child._id },
+          update: { $set: { path: childPath } },
+          timestamps: false,
+        },
+      });
+
+      if (child.type === 'folder') {
+        nextPaths.set(child._id.toString(), `${childPath}${child.name}/`);
+      }
+    }
+    childPaths = nextPaths;
+  }
+
+  for (let i = 0; i < updates.length; i += 1000) {
+    await File.bulkWrite(updates.slice(i, i + 1000), { ordered: false });
+  }
+};
+
+const INVALID_NAME_MESSAGE = 'Name cannot be "." or "..", or contain "/", "\\" or control characters';
+
+/**
+ * Trim and check a file/folder name. Names are path segments (in paths, breadcrumbs
+ * and ZIP entries), so separators, "." and ".." and control characters are refused.
+ * @param {string} name - Name from the client
+ * @returns {string|null} The trimmed name, or null if it can't be used
+ */
+const normalizeName = (name) => {
+  if (typeof name !== 'string') return null;
+
+  const trimmed = name.trim();
+  if (trimmed === '' || trimmed === '.' || trimmed === '..') return null;
+  if (/[/\\\x00-\x1f\x7f]/.test(trimmed)) return null;
+
+  return trimmed;
+};
+
+/**
+ * Path of the items directly inside a folder
+ * @param {Object|null} folder - Folder document, null for the root
+ * @returns {string} e.g. "/Projects/2026/" for the folder "2026" in "/Projects/"
+ */
+const getChildPath = (folder) => {
+  return folder ? `${folder.path}${folder.name}/` : '/';
+};
+
+/**
+ * Look up the current path for items inside a folder
+ * @param {ObjectId|null} folderId - Folder id, null for the root
+ * @param {string} fallback - Path to use if the folder no longer exists
+ * @returns {Promise<string>} Path for the folder's children
+ */
+const getPathInFolder = async (folderId, fallback = '/') => {
+  if (!folderId) return '/';
+  const folder = await File.findById(folderId).select('name path');
+  return folder ? getChildPath(folder) : fallback;
+};
+
+/**
+ * Get every ancestor folder of a file/folder in a single query
+ * @param {Object} file - File document
+ * @returns {Promise<Array>} Ancestors ({_id, name, path, parentFolder}), root first
+ */
+const getAncestors = async (file) => {
+  if (!file.parentFolder) return [];
+
+  const [result] = await File.aggregate([
+    { $match: { _id: file._id } },
+    {
+      $graphLookup: {
+        from: File.collection.name,
+        startWith: '$parentFolder',
+        connectFromField: 'parentFolder',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+        restrictSearchWithMatch: { owner: file.owner },
+      },
+    },
+    {
+      $project: {
+        'ancestors._id': 1,
+        'ancestors.name': 1,
+        'ancestors.path': 1,
+        'ancestors.parentFolder': 1,
+        'ancestors.depth': 1,
+      },
+    },
+  ]);
+
+  if (!result) return [];
+
+  return result.ancestors
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ depth, ...ancestor }) => ancestor);
+};
+
+/**
+ * Recompute the materialized path of every item of a user from the parentFolder
+ * links and fix the ones that are stale
+ * @param {ObjectId} ownerId - Owner whose drive is repaired
+ * @returns {Promise<{checked: number, fixed: number, orphans: Array<ObjectId>}>} Summary;
+ *          orphans are items whose parent folder no longer exists (left untouched)
+ */
+const repairPaths = async (ownerId) => {
+  const items = await File.find({ owner: ownerId })
+    .select('name type path parentFolder')
+    .lean();
+
+  const childrenByParent = new Map();
+  for (const item of items) {
+    const key = String(item.parentFolder);
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(item);
+  }
+
+  // Walk down from the root, one level at a time
+  const updates = [];
+  const visited = new Set();
+  let level = [{ key: String(null), path: '/' }];
+
+  while (level.length > 0) {
+    const next = [];
+    for (const { key, path } of level) {
+      for (const child of childrenByParent.get(key) || []) {
+        visited.add(child._id.toString());
+
+        if (child.path !== path) {
+          updates.push({
+            updateOne: {
+              filter: { _id: child._id },
+              update: { $set: { path } },
+              timestamps: false,
+            },
+          });
+        }
+
+        if (child.type === 'folder') {
+          next.push({ key: child._id.toString(), path: `${path}${child.name}/` });
+        }
+      }
+    }
+    level = next;
+  }
+
+  for (let i = 0; i < updates.length; i += 1000) {
+    await File.bulkWrite(updates.slice(i, i + 1000), { ordered: false });
+  }
+
+  return {
+    checked: items.length,
+    fixed: updates.length,
+    orphans: items.filter((item) => !visited.has(item._id.toString())).map((item) => item._id),
+  };
+};
+
+module.exports = {
+  getDescendants,
+  checkIfDescendant,
+  updateChildrenPaths,
+  INVALID_NAME_MESSAGE,
+  normalizeName,
+  getChildPath,
+  getPathInFolder,
+  getAncestors,
+  repairPaths,
+};
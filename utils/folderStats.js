@@ -0,0 +1,135 @@
+const File = require('../models/File');
+const { getAncestors } = require('./fileTree');
+
+/**
+ * What an item adds to the size and counts of every folder above it
+ * @param {Object} item - File document
+ * @returns {{size: number, files: number, folders: number}} Stats of the item
+ */
+const getItemStats = (item) => {
+  if (item.type === 'folder') {
+    return { size: item.size || 0, files: item.fileCount || 0, folders: (item.folderCount || 0) + 1 };
+  }
+  return { size: item.size || 0, files: 1, folders: 0 };
+};
+
+/**
+ * Add stats to a folder and every folder above it (negative values remove them)
+ * @param {ObjectId|null} folderId - Folder the change happened in, null for the root
+ * @param {Object} stats - Bytes, files and folders to add
+ */
+const adjustFolderStats = async (folderId, { size = 0, files = 0, folders = 0 }) => {
+  if (!folderId || (size === 0 && files === 0 && folders === 0)) return;
+
+  const folder = await File.findById(folderId).select('parentFolder owner');
+  if (!folder) return;
+
+  const folderIds = [folder._id, ...(await getAncestors(folder)).map((ancestor) => ancestor._id)];
+
+  // Derived totals don't count as a modification of the folders
+  await File.updateMany(
+    { _id: { $in: folderIds } },
+    { $inc: { size, fileCount: files, folderCount: folders } },
+    { timestamps: false }
+  );
+};
+
+/**
+ * Count a new or restored item in the folders above it
+ * @param {Object} item - File document (with its current parentFolder)
+ */
+const addToFolderStats = (item) => {
+  return adjustFolderStats(item.parentFolder, getItemStats(item));
+};
+
+/**
+ * Stop counting an item that left its folder (trashed or moved away)
+ * @param {Object} item - File document
+ * @param {ObjectId|null} parentFolder - Folder the item left (defaults to its parentFolder)
+ */
+const removeFromFolderStats = (item, parentFolder = item.parentFolder) => {
+  const { size, files, folders } = getItemStats(item);
+  return adjustFolderStats(parentFolder, { size: -size, files: -files, folders: -folders });
+};
+
+/**
+ * Recompute the size and counts of every folder of a user from scratch and fix the
+ * ones that drifted. Items trashed along with a folder still count toward it, so
+ * the folder shows the right totals when it is restored.
+ * @param {ObjectId} ownerId - Owner whose folders are recomputed
+ * @returns {Promise<{checked: number, fixed: number}>} Folders checked and corrected
+ */
+const recomputeFolderStats = async (ownerId) => {
+  const items = await File.find({ owner: ownerId })
+    .select('type size fileCount folderCount parentFolder isTrashed trashRoot')
+    .lean();
+
+  const childrenByParent = new Map();
+  for (const item of items) {
+    // Items trashed on their own no longer belong to their folder
+    if (item.isTrashed && !item.trashRoot) continue;
+
+    const key = String(item.parentFolder);
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(item);
+  }
+
+  const totals = new Map();
+  const computeTotals = (folderId, visiting = new Set()) => {
+    const key = folderId.toString();
+    if (totals.has(key)) return totals.get(key);
+
+    const total = { size: 0, fileCount: 0, folderCount: 0 };
+    visiting.add(key);
+
+    for (const child of childrenByParent.get(key) || []) {
+      if (child.type === 'file') {
+        total.size += child.size || 0;
+        total.fileCount += 1;
+      } else if (!visiting.has(child._id.toString())) {
+        const childTotal = computeTotals(child._id, visiting);
+        total.size += childTotal.size;
+        total.fileCount += childTotal.fileCount;
+        total.folderCount += childTotal.folderCount + 1;
+      }
+    }
+
+    visiting.delete(key);
+    totals.set(key, total);
+    return total;
+  };
+
+  const folders = items.filter((item) => item.type === 'folder');
+  const updates = [];
+
+  for (const folder of folders) {
+    const total = computeTotals(folder._id);
+    if (
+      folder.size !== total.size ||
+      folder.fileCount !== total.fileCount ||
+      folder.folderCount !== total.folderCount
+    ) {
+      updates.push({
+        updateOne: {
+          filter: { _id: folder._id },
+          update: { $set: total },
+          timestamps: false,
+        },
+      });
+    }
+  }
+
+  for (let i = 0; i < updates.length; i += 1000) {
+    await File.bulkWrite(updates.slice(i, i + 1000), { ordered: false });
+  }
+
+  return { checked: folders.length, fixed: updates.length };
+};
+
+module.exports = {
+  getItemStats,
+  adjustFolderStats,
+  addToFolderStats,
+  removeFromFolderStats,
+  recomputeFolderStats,
+};
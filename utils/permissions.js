@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Permission = require('../models/Permission');
+
+// Higher rank includes everything a lower rank can do
+const ROLE_RANK = {
+  viewer: 1,
+  commenter: 2,
+  editor: 3,
+  owner: 4,
+};
+
+/**
+ * Check whether a role satisfies a required role
+ * @param {string} role - Role the user has (or null)
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} True if access is allowed
+ */
+const hasRole = (role, requiredRole) => {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+};
+
+/**
+ * Resolve a user's role on a file/folder. Grants on a folder cascade to
+ * everything inside it, so the ancestors are checked as well.
+ * @param {Object} file - File document
+ * @param {ObjectId} userId - User requesting access
+ * @returns {Promise<string|null>} 'owner', a granted role, or null
+ */
+const getAccessRole = async (file, userId) => {
+  if (file.owner.toString() === userId.toString()) {
+    return 'owner';
+  }
+
+  const fileIds = [file._id];
+  let current = file;
+  while (current && current.parentFolder) {
+    fileIds.push(current.parentFolder);
+    current = await File.findById(current.parentFolder).select('parentFolder');
+  }
+
+  const grants = await Permission.find({
+    file: { $in: fileIds },
+    grantee: userId,
+  });
+
+  let bestRole = null;
+  for (const grant of grants) {
+    if (!bestRole || ROLE_RANK[grant.role] > ROLE_RANK[bestRole]) {
+      bestRole = grant.role;
+    }
+  }
+
+  return bestRole;
+};
+
+/**
+ * Find a file/folder the user may access with at least the given role
+ * @param {string} fileId - File/folder id
+ * @param {ObjectId} userId - User requesting access
+ * @param {string} requiredRole - Minimum role needed
+ * @param {Object} filter - Extra query conditions (e.g. type, isTrashed)
+ * @returns {Promise<{file: Object|null, role: string|null}>} file is null if not found or not allowed
+ */
+const findAccessibleFile = async (fileId, userId, requiredRole, filter = {}) => {
+  if (!mongoose.isValidObjectId(fileId)) {
+    return { file: null, role: null };
+  }
+
+  const file = await File.findOne({ _id: fileId, ...filter });
+
+  if (!file) {
+    return { file: null, role: null };
+  }
+
+  const role = await getAccessRole(file, userId);
+
+  if (!hasRole(role, requiredRole)) {
+    return { file: null, role };
+  }
+
+  return { file, role };
+};
+
+module.exports = {
+  ROLE_RANK,
+  hasRole,
+  getAccessRole,
+  findAccessibleFile,
+};
@@ -0,0 +1,213 @@
+const User = require('../models/User');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Blob = require('../models/Blob');
+const UploadSession = require('../models/UploadSession');
+const UploadTicket = require('../models/UploadTicket');
+const { deleteObject } = require('../storage');
+const { CATEGORIES, getCategory } = require('./fileCategories');
+
+// Blobs touched this recently may belong to an upload that hasn't created its file yet
+const ORPHAN_BLOB_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Reserve storage for a user. The limit check and the increment happen in a single
+ * conditional update, so concurrent uploads can't exceed the limit together.
+ * @param {ObjectId} userId - User charged for the storage
+ * @param {number} bytes - Bytes to reserve
+ * @returns {Promise<boolean>} False if the reservation would exceed the storage limit
+ */
+const reserveStorage = async (userId, bytes) => {
+  if (bytes <= 0) return true;
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $expr: { $lte: [{ $add: ['$storageUsed', bytes] }, '$storageLimit'] },
+    },
+    { $inc: { storageUsed: bytes } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Release storage previously reserved or charged to a user (never below zero)
+ * @param {ObjectId} userId - User to credit
+ * @param {number} bytes - Bytes to release
+ */
+const releaseStorage = async (userId, bytes) => {
+  if (bytes <= 0) return;
+
+  await User.updateOne({ _id: userId }, [
+    { $set: { storageUsed: { $max: [0, { $subtract: ['$storageUsed', bytes] }] } } },
+  ]);
+};
+
+/**
+ * Recompute a user's storage usage from their files, versions and uploads in progress,
+ * repairing blob reference counts on the way, and correct any drift in storageUsed
+ * @param {ObjectId} userId - User to reconcile
+ * @returns {Promise<{previous: number, actual: number, drift: number}>} Usage before and after
+ */
+const reconcileStorage = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  // Every stored object the user's files and versions point at, with its reference count
+  const references = new Map();
+  const addReference = (item) => {
+    const entry = references.get(item.s3Key) || { size: item.size, count: 0 };
+    entry.count += 1;
+    references.set(item.s3Key, entry);
+  };
+
+  const files = await File.find({ owner: userId, type: 'file', s3Key: { $ne: null } })
+    .select('s3Key size')
+    .lean();
+  const versions = await FileVersion.find({ owner: userId }).select('s3Key size').lean();
+  files.forEach(addReference);
+  versions.forEach(addReference);
+
+  let actual = 0;
+  const orphanCutoff = new Date(Date.now() - ORPHAN_BLOB_GRACE_MS);
+  const blobs = await Blob.find({ owner: userId });
+
+  for (const blob of blobs) {
+    const entry = references.get(blob.s3Key);
+    references.delete(blob.s3Key);
+
+    if (!entry) {
+      if (blob.updatedAt > orphanCutoff) {
+        actual += blob.size;
+        continue;
+      }
+
+      // Nothing references this content any more
+      const removed = await Blob.deleteOne({ _id: blob._id, refCount: blob.refCount });
+      if (removed.deletedCount > 0) {
+        try {
+          await deleteObject(blob.s3Key);
+        } catch (storageError) {
+          console.error('Storage delete error:', storageError);
+        }
+      }
+      continue;
+    }
+
+    if (entry.count !== blob.refCount) {
+      await Blob.updateOne({ _id: blob._id, refCount: blob.refCount }, { refCount: entry.count });
+    }
+    actual += blob.size;
+  }
+
+  // Objects that aren't deduplicated (not hashed yet, or stored before hashing existed)
+  for (const entry of references.values()) {
+    actual += entry.size;
+  }
+
+  // Uploads in progress hold a reservation
+  const sessions = await UploadSession.find({ owner: userId, status: { $in: ['active', 'completing'] } })
+    .select('size')
+    .lean();
+  const tickets = await UploadTicket.find({ owner: userId, status: 'pending' }).select('size').lean();
+  actual += [...sessions, ...tickets].reduce((total, item) => total + item.size, 0);
+
+  const previous = user.storageUsed;
+  if (previous !== actual) {
+    await User.updateOne({ _id: userId }, { storageUsed: actual });
+  }
+
+  return { previous, actual, drift: actual - previous };
+};
+
+/**
+ * Break a user's storage usage down the same way reconcileStorage counts it: each
+ * stored object once, whether one file, several deduplicated files or a version uses it.
+ * Objects still used by an active file (or a version of one) are active; objects only
+ * used by trashed files are trash and would be freed by emptying the trash.
+ * @param {ObjectId} userId - User to measure
+ * @returns {Promise<Object>} Bytes for active content (per category), trash and uploads in progress
+ */
+const getStorageBreakdown = async (userId) => {
+  const files = await File.find({ owner: userId, type: 'file', s3Key: { $ne: null } })
+    .select('s3Key size mimeType isTrashed')
+    .lean();
+  const versions = await FileVersion.find({ owner: userId }).select('file s3Key size mimeType').lean();
+  const activeFileIds = new Set(
+    files.filter((file) => !file.isTrashed).map((file) => file._id.toString())
+  );
+
+  const objects = new Map();
+  const addObject = (item, active, isVersion) => {
+    const entry = objects.get(item.s3Key) || {
+      size: item.size,
+      mimeType: item.mimeType,
+      active: false,
+      versionOnly: true,
+    };
+    entry.active = entry.active || active;
+    entry.versionOnly = entry.versionOnly && isVersion;
+    objects.set(item.s3Key, entry);
+  };
+
+  files.forEach((file) => addObject(file, !file.isTrashed, false));
+  versions.forEach((version) => addObject(version, activeFileIds.has(version.file.toString()), true));
+
+  // Deduplicated content is measured by its blob; recent unreferenced blobs belong to uploads
+  let pendingBytes = 0;
+  const orphanCutoff = new Date(Date.now() - ORPHAN_BLOB_GRACE_MS);
+  const blobs = await Blob.find({ owner: userId }).select('s3Key size updatedAt').lean();
+  for (const blob of blobs) {
+    const entry = objects.get(blob.s3Key);
+    if (entry) {
+      entry.size = blob.size;
+    } else if (blob.updatedAt > orphanCutoff) {
+      pendingBytes += blob.size;
+    }
+  }
+
+  const sessions = await UploadSession.find({ owner: userId, status: { $in: ['active', 'completing'] } })
+    .select('size')
+    .lean();
+  const tickets = await UploadTicket.find({ owner: userId, status: 'pending' }).select('size').lean();
+  pendingBytes += [...sessions, ...tickets].reduce((total, item) => total + item.size, 0);
+
+  const byCategory = {};
+  for (const category of [...Object.keys(CATEGORIES), 'other']) {
+    byCategory[category] = { bytes: 0, files: 0 };
+  }
+
+  const breakdown = {
+    active: { bytes: 0, versionBytes: 0, byCategory },
+    trash: { bytes: 0 },
+    pending: { bytes: pendingBytes },
+  };
+
+  for (const entry of objects.values()) {
+    if (!entry.active) {
+      breakdown.trash.bytes += entry.size;
+      continue;
+    }
+
+    breakdown.active.bytes += entry.size;
+    byCategory[getCategory(entry.mimeType)].bytes += entry.size;
+    if (entry.versionOnly) {
+      breakdown.active.versionBytes += entry.size;
+    }
+  }
+
+  for (const file of files) {
+    if (!file.isTrashed) byCategory[getCategory(file.mimeType)].files += 1;
+  }
+
+  breakdown.total = breakdown.active.bytes + breakdown.trash.bytes + breakdown.pending.bytes;
+  return breakdown;
+};
+
+module.exports = {
+  reserveStorage,
+  releaseStorage,
+  reconcileStorage,
+  getStorageBreakdown,
+};
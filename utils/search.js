@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const SORT_FIELDS = {
+  name: 'name',
+  size: 'size',
+  created: 'createdAt',
+  updated: 'updatedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+};
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - User input
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Parse a date query parameter
+ * @returns {Date|null} Parsed date, or null if missing/invalid
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Encode the position after the last returned item as an opaque cursor
+ * @param {Object} item - Last item of the page
+ * @param {string} sortField - Field the results are sorted by
+ * @returns {string} Cursor string
+ */
+const encodeCursor = (item, sortField) => {
+  const value = item[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: item._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Cursor string from the client
+ * @returns {{value: *, id: ObjectId}|null} null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.id !== 'string' || !mongoose.isValidObjectId(payload.id)) return null;
+
+    // The value goes into a query, so only plain values are accepted (never operator objects)
+    let value;
+    if (payload.d) {
+      value = typeof payload.v === 'string' ? new Date(payload.v) : null;
+      if (!value || isNaN(value.getTime())) return null;
+    } else if (typeof payload.v === 'string' || (typeof payload.v === 'number' && Number.isFinite(payload.v))) {
+      value = payload.v;
+    } else {
+      return null;
+    }
+
+    return {
+      value,
+      id: new mongoose.Types.ObjectId(payload.id),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the condition selecting items after a cursor for a given sort
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} sortField - Field the results are sorted by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object} Mongo condition
+ */
+const getCursorCondition = (cursor, sortField, direction) => {
+  const operator = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sortField]: { [operator]: cursor.value } },
+      { [sortField]: cursor.value, _id: { [operator]: cursor.id } },
+    ],
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  escapeRegex,
+  parseDate,
+  encodeCursor,
+  decodeCursor,
+  getCursorCondition,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken } = require('../middleware/auth');
+
+/**
+ * Error raised when a refresh token can't be used; carries the HTTP status to respond with
+ */
+class SessionError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Number of days a session stays valid without being refreshed
+ * @returns {number} Refresh token lifetime in days
+ */
+const getRefreshTokenTtlDays = () => {
+  return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+};
+
+// Helper function to hash a refresh token secret (only hashes are stored)
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Helper function to compute a fresh session expiry
+const getSessionExpiration = () => {
+  return new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+};
+
+// Helper function to read the device details of a request
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Start a new session for a user (one per device/login)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>} Tokens for the client
+ */
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    ...getClientInfo(req),
+    expiresAt: getSessionExpiration(),
+  });
+
+  return {
+    accessToken: generateToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already rotated revokes the whole session,
+ * since it means the token was copied.
+ * @param {string} refreshToken - Token returned by login or the previous refresh
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>} New tokens
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new SessionError(401, 'Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+
+  if (!session || !session.isActive()) {
+    throw new SessionError(401, 'Session has expired or was revoked. Please login again.');
+  }
+
+  const newSecret = crypto.randomBytes(32).toString('base64url');
+
+  // Conditional on the current hash, so a token can only be rotated once
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(newSecret),
+      ...getClientInfo(req),
+      lastUsedAt: new Date(),
+      expiresAt: getSessionExpiration(),
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse' }
+    );
+    throw new SessionError(401, 'Refresh token reuse detected. Please login again.');
+  }
+
+  return {
+    accessToken: generateToken(rotated.user, rotated._id),
+    refreshToken: `${rotated._id}.${newSecret}`,
+    session: rotated,
+  };
+};
+
+/**
+ * Start a session and build the login response (tokens and profile)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<Object>} Response data
+ */
+const buildLoginResponse = async (user, req) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      storageUsed: user.storageUsed,
+      storageLimit: user.storageLimit,
+    },
+  };
+};
+
+/**
+ * Generate the short-lived token that links the password step of a login
+ * to its two-factor step. It can't be used as an access token (no session).
+ * @param {ObjectId} userId - User logging in
+ * @returns {string} Challenge token
+ */
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  });
+};
+
+/**
+ * Read the user id from a login challenge token
+ * @param {string} token - Challenge token
+ * @returns {string|null} User id, or null if the token is invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Revoke sessions of a user
+ * @param {ObjectId} userId - Owner of the sessions
+ * @param {Object} filter - Extra conditions (e.g. a single session id)
+ * @param {string} reason - 'logout', 'revoked', 'reuse' or 'password-reset'
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (userId, filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateSession,
+  buildLoginResponse,
+  generateChallengeToken,
+  verifyChallengeToken,
+  revokeSessions,
+};
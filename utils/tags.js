@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+
+/**
+ * Populate options for a file's tags. Tags are private to their owner, so other
+ * users (e.g. on a shared file) get an empty list.
+ * @param {ObjectId} userId - User the response is for
+ * @returns {Object} Mongoose populate options
+ */
+const getTagPopulate = (userId) => ({
+  path: 'tags',
+  select: 'name color',
+  match: { owner: userId },
+});
+
+/**
+ * Look up tags of a user by id
+ * @param {ObjectId} userId - Tag owner
+ * @param {Array<string>} tagIds - Requested tag ids
+ * @returns {Promise<{tags: Array, invalidIds: Array<string>}>} Found tags and ids that aren't the user's tags
+ */
+const findOwnTags = async (userId, tagIds) => {
+  const uniqueIds = [...new Set(tagIds.map(String))];
+  const validIds = uniqueIds.filter((id) => mongoose.isValidObjectId(id));
+
+  const tags = await Tag.find({ _id: { $in: validIds }, owner: userId });
+  const foundIds = new Set(tags.map((tag) => tag._id.toString()));
+
+  return {
+    tags,
+    invalidIds: uniqueIds.filter((id) => !foundIds.has(id)),
+  };
+};
+
+module.exports = {
+  getTagPopulate,
+  findOwnTags,
+};
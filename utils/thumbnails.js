@@ -0,0 +1,196 @@
+const sharp = require('sharp');
+const File = require('../models/File');
+const { getObjectStream, putObject, deleteObject } = require('../storage');
+
+// Fixed thumbnail sizes (longest edge in pixels)
+const THUMBNAIL_SIZES = [64, 256, 1024];
+
+// A pending thumbnail older than this was lost (e.g. in a restart) and is queued again
+const getPendingTimeout = () => {
+  return (parseInt(process.env.THUMBNAIL_PENDING_TIMEOUT_MINUTES, 10) || 10) * 60 * 1000;
+};
+
+// Images larger than this are not thumbnailed, to keep memory use bounded
+const getMaxSourceSize = () => {
+  return (parseInt(process.env.THUMBNAIL_MAX_SOURCE_MB, 10) || 50) * 1024 * 1024;
+};
+
+/**
+ * Key of a thumbnail, stored next to the original object. The file id and version
+ * are part of the key because deduplicated files share the original object.
+ * @param {Object} file - File document
+ * @param {number} size - Thumbnail size
+ * @returns {string} Thumbnail key
+ */
+const getThumbnailKey = (file, size) => {
+  return `${file.s3Key}.${file._id}-v${file.versionNumber}.thumb-${size}.webp`;
+};
+
+/**
+ * Pick the smallest fixed size that is at least the requested size
+ * @param {number} requested - Requested size in pixels
+ * @returns {number} One of THUMBNAIL_SIZES
+ */
+const pickThumbnailSize = (requested) => {
+  const size = parseInt(requested, 10) || THUMBNAIL_SIZES[1];
+  return THUMBNAIL_SIZES.find((candidate) => candidate >= size) || THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1];
+};
+
+/**
+ * Helper function to read a stream into memory
+ */
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Generate and store every thumbnail size for an image file
+ * @param {ObjectId} fileId - File to thumbnail
+ */
+const generateThumbnails = async (fileId) => {
+  const file = await File.findById(fileId);
+  if (!file || file.type !== 'file' || !file.isImage()) return;
+
+  const s3Key = file.s3Key;
+
+  if (file.size > getMaxSourceSize()) {
+    await File.updateOne({ _id: file._id }, { thumbnailStatus: 'failed' }, { timestamps: false });
+    return;
+  }
+
+  const source = await streamToBuffer(await getObjectStream(s3Key));
+  const thumbnails = [];
+
+  for (const size of THUMBNAIL_SIZES) {
+    const buffer = await sharp(source)
+      .rotate() // Respect EXIF orientation
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    const thumbnailKey = getThumbnailKey(file, size);
+    await putObject(thumbnailKey, buffer, { contentType: 'image/webp', size: buffer.length });
+    thumbnails.push({ size, s3Key: thumbnailKey });
+  }
+
+  // Only record them if the content wasn't replaced in the meantime
+  const result = await File.updateOne(
+    { _id: file._id, s3Key, versionNumber: file.versionNumber },
+    { thumbnails, thumbnailStatus: 'ready' },
+    { timestamps: false }
+  );
+
+  if (result.matchedCount === 0) {
+    await deleteThumbnails(thumbnails);
+  }
+};
+
+/**
+ * Delete stored thumbnails, logging (not throwing) individual failures
+ * @param {Array} thumbnails - [{ size, s3Key }]
+ */
+const deleteThumbnails = async (thumbnails = []) => {
+  for (const thumbnail of thumbnails) {
+    try {
+      await deleteObject(thumbnail.s3Key);
+    } catch (storageError) {
+      console.error('Storage delete error:', storageError);
+    }
+  }
+};
+
+// Thumbnails are generated one at a time in the background
+const queue = [];
+let running = false;
+
+const enqueue = (fileId) => {
+  if (!queue.some((queuedId) => queuedId.equals(fileId))) {
+    queue.push(fileId);
+  }
+  setImmediate(processQueue);
+};
+
+const processQueue = async () => {
+  if (running) return;
+  running = true;
+
+  while (queue.length > 0) {
+    const fileId = queue.shift();
+    try {
+      await generateThumbnails(fileId);
+    } catch (error) {
+      console.error('Thumbnail generation error:', error);
+      await File.updateOne({ _id: fileId }, { thumbnailStatus: 'failed' }, { timestamps: false }).catch(() => {});
+    }
+  }
+
+  running = false;
+};
+
+/**
+ * Queue thumbnail generation for a file without waiting for it.
+ * Does nothing for files that aren't images.
+ * @param {Object} file - File document
+ */
+const queueThumbnails = (file) => {
+  if (file.type !== 'file' || !file.isImage()) return;
+
+  File.updateOne(
+    { _id: file._id },
+    { thumbnailStatus: 'pending', thumbnailQueuedAt: new Date() },
+    { timestamps: false }
+  )
+    .then(() => enqueue(file._id))
+    .catch((error) => console.error('Thumbnail queue error:', error));
+};
+
+/**
+ * Whether thumbnail generation of a file is still in progress. The queue lives in
+ * memory, so a pending status that outlived its timeout is treated as lost.
+ * @param {Object} file - File document
+ * @returns {boolean} True if the file is pending and not stale
+ */
+const isThumbnailPending = (file) => {
+  if (file.thumbnailStatus !== 'pending') return false;
+  if (!file.thumbnailQueuedAt) return false;
+  return Date.now() - file.thumbnailQueuedAt.getTime() < getPendingTimeout();
+};
+
+/**
+ * Queue again every file left pending by a previous process (run on startup)
+ * @returns {Promise<number>} Number of files queued
+ */
+const requeuePendingThumbnails = async () => {
+  const files = await File.find({ thumbnailStatus: 'pending', type: 'file' }).select('_id');
+
+  for (const file of files) {
+    enqueue(file._id);
+  }
+
+  return files.length;
+};
+
+/**
+ * Replace the thumbnails of a file whose content changed. The caller clears
+ * file.thumbnails before saving; the old ones are deleted in the background.
+ * @param {Object} file - File document (already saved with its new content)
+ * @param {Array} oldThumbnails - Thumbnails of the previous content
+ */
+const refreshThumbnails = (file, oldThumbnails) => {
+  deleteThumbnails(oldThumbnails).catch((error) => console.error('Thumbnail delete error:', error));
+  queueThumbnails(file);
+};
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  pickThumbnailSize,
+  queueThumbnails,
+  isThumbnailPending,
+  requeuePendingThumbnails,
+  refreshThumbnails,
+  deleteThumbnails,
+};
@@ -17,6 +17,14 @@ const generatePasswordResetToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
+/**
+ * Generate a random URL-safe token for public share links
+ * @returns {string} A unique share link token
+ */
+const generateShareLinkToken = () => {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
 /**
  * Calculate token expiration time
  * @param {number} hours - Number of hours until expiration
@@ -29,5 +37,6 @@ const getTokenExpiration = (hours = 24) => {
 module.exports = {
   generateActivationToken,
   generatePasswordResetToken,
+  generateShareLinkToken,
   getTokenExpiration,
 };
\ No newline at end of file
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet, used by authenticator apps for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * HMAC-based one-time password (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {Object} options - digits and algorithm ('sha1', 'sha256' or 'sha512')
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter, { digits = CODE_DIGITS, algorithm = 'sha1' } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac(algorithm, key).update(message).digest();
+
+  // Dynamic truncation
+  const offset = digest[digest.length - 1] & 15;
+  const binary = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return binary.toString().padStart(digits, '0');
+};
+
+/**
+ * Time-based one-time password (RFC 6238)
+ * @param {Buffer} key - Shared secret
+ * @param {number} time - Unix time in seconds
+ * @param {Object} options - digits, algorithm and step (seconds)
+ * @returns {string} Zero-padded code
+ */
+const totp = (key, time, { step = TIME_STEP_SECONDS, ...options } = {}) => {
+  return hotp(key, Math.floor(time / step), options);
+};
+
+/**
+ * Check a code against a base32 secret, allowing one step of clock drift each way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Steps of drift allowed
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift;
+    const expected = hotp(key, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'Google Drive Clone';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,93 @@
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const Permission = require('../models/Permission');
+const ShareLink = require('../models/ShareLink');
+const Comment = require('../models/Comment');
+const { getDescendants } = require('./fileTree');
+const { releaseBlobs } = require('./blobs');
+const { releaseStorage } = require('./quota');
+const { deleteObject } = require('../storage');
+
+/**
+ * Number of days an item stays in trash before it is purged
+ * @returns {number} Retention period in days
+ */
+const getTrashRetentionDays = () => {
+  return parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+};
+
+/**
+ * Remove the database records of files/folders (and their descendants) and release
+ * their storage quota. Stored objects are left for deleteStoredObjects, so this part
+ * can run inside a transaction.
+ * @param {Array} items - File documents to delete
+ * @param {ObjectId} userId - Owner of the items
+ * @returns {Promise<{count: number, keys: Array<string>}>} Documents removed and object keys to delete
+ */
+const removeFileRecords = async (items, userId) => {
+  const toDelete = [];
+
+  for (const item of items) {
+    toDelete.push(item);
+    if (item.type === 'folder') {
+      toDelete.push(...(await getDescendants(item._id, { owner: userId })));
+    }
+  }
+
+  const deletedIds = toDelete.map((item) => item._id);
+  const storedFiles = toDelete.filter((item) => item.type === 'file' && item.s3Key);
+
+  // Previous versions count toward storage too
+  const versions = await FileVersion.find({ file: { $in: deletedIds } });
+
+  const thumbnails = storedFiles.flatMap((item) => item.thumbnails || []);
+
+  // Content shared with other files is only freed with its last reference
+  const released = await releaseBlobs(userId, [...storedFiles, ...versions]);
+  const keys = [...released.keys, ...thumbnails.map((item) => item.s3Key)];
+  const freedBytes = released.freedBytes;
+
+  await File.deleteMany({ _id: { $in: deletedIds } });
+  await FileVersion.deleteMany({ file: { $in: deletedIds } });
+  await Permission.deleteMany({ file: { $in: deletedIds } });
+  await ShareLink.deleteMany({ file: { $in: deletedIds } });
+  await Comment.deleteMany({ file: { $in: deletedIds } });
+
+  // Update user storage
+  await releaseStorage(userId, freedBytes);
+
+  return { count: toDelete.length, keys };
+};
+
+/**
+ * Delete stored objects, logging (not throwing) individual failures
+ * @param {Array<string>} keys - Object keys to delete
+ */
+const deleteStoredObjects = async (keys) => {
+  for (const key of keys) {
+    try {
+      await deleteObject(key);
+    } catch (storageError) {
+      console.error('Storage delete error:', storageError);
+    }
+  }
+};
+
+/**
+ * Permanently delete files/folders (and their descendants) from storage and the database
+ * @param {Array} items - File documents to delete
+ * @param {ObjectId} userId - Owner of the items
+ * @returns {Promise<number>} Number of documents removed
+ */
+const permanentlyDelete = async (items, userId) => {
+  const { count, keys } = await removeFileRecords(items, userId);
+  await deleteStoredObjects(keys);
+  return count;
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  removeFileRecords,
+  deleteStoredObjects,
+  permanentlyDelete,
+};
@@ -0,0 +1,149 @@
+const UploadSession = require('../models/UploadSession');
+const UploadTicket = require('../models/UploadTicket');
+const { abortMultipartUpload, deleteObject } = require('../storage');
+const { releaseStorage } = require('./quota');
+
+// S3 requires every part except the last to be at least 5MB, and allows 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+// Time a client has after its upload URL expires to call finalize
+const TICKET_FINALIZE_GRACE_MS = 60 * 60 * 1000;
+
+// Helper function to get the configured part size (at least the storage minimum)
+const getBasePartSize = () => {
+  const configured = parseInt(process.env.UPLOAD_PART_SIZE_MB, 10) || 8;
+  return Math.max(configured * 1024 * 1024, MIN_PART_SIZE);
+};
+
+/**
+ * Largest part the part upload endpoint accepts (twice the configured part size)
+ * @returns {number} Size in bytes
+ */
+const getMaxPartSize = () => {
+  return getBasePartSize() * 2;
+};
+
+/**
+ * Largest resumable upload: parts grow past the configured size to stay within the
+ * part count limit, but never past what the part upload endpoint accepts
+ * @returns {number} Size in bytes
+ */
+const getMaxUploadSize = () => {
+  return getMaxPartSize() * MAX_PARTS;
+};
+
+/**
+ * Choose the part size for an upload of the given size
+ * @param {number} size - Total file size in bytes
+ * @returns {number} Part size in bytes
+ */
+const getPartSize = (size) => {
+  return Math.max(getBasePartSize(), Math.ceil(size / MAX_PARTS));
+};
+
+/**
+ * Calculate when an idle upload session expires
+ * @returns {Date} Expiration date
+ */
+const getSessionExpiration = () => {
+  const hours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Lifetime of a direct upload URL
+ * @returns {number} Seconds until the pre-signed URL expires
+ */
+const getTicketTtlSeconds = () => {
+  return (parseInt(process.env.DIRECT_UPLOAD_TTL_MINUTES, 10) || 15) * 60;
+};
+
+/**
+ * Check whether a direct upload ticket can no longer be finalized
+ * @param {Object} ticket - UploadTicket document
+ * @returns {boolean} True if the ticket is past its finalize window
+ */
+const isTicketExpired = (ticket) => {
+  return ticket.expiresAt.getTime() + TICKET_FINALIZE_GRACE_MS < Date.now();
+};
+
+/**
+ * Close a direct upload ticket, remove any object uploaded for it and release its storage
+ * @param {Object} ticket - UploadTicket document
+ * @param {string} status - 'rejected' or 'expired'
+ */
+const discardTicket = async (ticket, status) => {
+  try {
+    await deleteObject(ticket.s3Key);
+  } catch (storageError) {
+    console.error('Storage delete error:', storageError);
+  }
+
+  // Only the call that closes the ticket releases its reservation
+  const closed = await UploadTicket.updateOne({ _id: ticket._id, status: 'pending' }, { status });
+  ticket.status = status;
+
+  if (closed.modifiedCount > 0) {
+    await releaseStorage(ticket.owner, ticket.size);
+  }
+};
+
+/**
+ * Abort an upload session, discard its uploaded parts and release its storage
+ * @param {Object} session - UploadSession document
+ */
+const abortSession = async (session) => {
+  try {
+    await abortMultipartUpload(session.s3Key, session.uploadId);
+  } catch (storageError) {
+    // The upload may already be gone from storage; still mark the session aborted
+    console.error('Storage abort upload error:', storageError);
+  }
+
+  // Only the call that closes the session releases its reservation
+  const closed = await UploadSession.updateOne({ _id: session._id, status: 'active' }, { status: 'aborted' });
+  session.status = 'aborted';
+
+  if (closed.modifiedCount > 0) {
+    await releaseStorage(session.owner, session.size);
+  }
+};
+
+/**
+ * Give up on a session whose parts storage already assembled, when its file could not
+ * be created. The multipart upload no longer exists, so the session can't be retried:
+ * the assembled object is deleted and the storage released.
+ * @param {Object} session - UploadSession document (status 'completing')
+ */
+const discardCompletedSession = async (session) => {
+  // Only the call that closes the session releases its reservation
+  const closed = await UploadSession.updateOne(
+    { _id: session._id, status: 'completing' },
+    { status: 'aborted' }
+  );
+  session.status = 'aborted';
+
+  if (closed.modifiedCount > 0) {
+    await releaseStorage(session.owner, session.size);
+
+    try {
+      await deleteObject(session.s3Key);
+    } catch (storageError) {
+      console.error('Storage delete error:', storageError);
+    }
+  }
+};
+
+module.exports = {
+  TICKET_FINALIZE_GRACE_MS,
+  getMaxPartSize,
+  getMaxUploadSize,
+  getPartSize,
+  getSessionExpiration,
+  getTicketTtlSeconds,
+  isTicketExpired,
+  discardTicket,
+  abortSession,
+  discardCompletedSession,
+};
@@ -0,0 +1,60 @@
+const FileVersion = require('../models/FileVersion');
+const { deleteObject } = require('../storage');
+const { releaseBlobs } = require('./blobs');
+const { releaseStorage } = require('./quota');
+
+/**
+ * Maximum number of previous versions kept per file
+ * @returns {number} Version limit
+ */
+const getMaxVersions = () => {
+  return parseInt(process.env.MAX_FILE_VERSIONS, 10) || 10;
+};
+
+/**
+ * Delete stored versions from storage and the database. Content still referenced
+ * by other files or versions is kept.
+ * @param {Array} versions - FileVersion documents to delete
+ * @returns {Promise<number>} Bytes freed in storage
+ */
+const deleteVersions = async (versions) => {
+  let freedBytes = 0;
+
+  for (const version of versions) {
+    const released = await releaseBlobs(version.owner, [version]);
+    freedBytes += released.freedBytes;
+
+    for (const key of released.keys) {
+      try {
+        await deleteObject(key);
+      } catch (storageError) {
+        console.error('Storage delete error:', storageError);
+      }
+    }
+  }
+
+  await FileVersion.deleteMany({ _id: { $in: versions.map((version) => version._id) } });
+
+  return freedBytes;
+};
+
+/**
+ * Remove the oldest versions of a file beyond the configured limit
+ * @param {Object} file - File document
+ */
+const pruneVersions = async (file) => {
+  const excess = await FileVersion.find({ file: file._id })
+    .sort({ versionNumber: -1 })
+    .skip(getMaxVersions());
+
+  if (excess.length === 0) return;
+
+  const freedBytes = await deleteVersions(excess);
+  await releaseStorage(file.owner, freedBytes);
+};
+
+module.exports = {
+  getMaxVersions,
+  deleteVersions,
+  pruneVersions,
+};
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const EVENT_TYPES = [
+  'file.uploaded',
+  'file.updated',
+  'file.renamed',
+  'file.moved',
+  'file.deleted',
+  'file.starred',
+  'file.unstarred',
+  'file.downloaded',
+  'folder.created',
+  'folder.renamed',
+  'folder.moved',
+  'folder.deleted',
+  'folder.starred',
+  'folder.unstarred',
+];
+
+// Activity actions and the event they emit (prefixed with "file." or "folder.")
+const ACTIVITY_EVENTS = {
+  create: 'created',
+  upload: 'uploaded',
+  'new-version': 'updated',
+  rename: 'renamed',
+  move: 'moved',
+  star: 'starred',
+  unstar: 'unstarred',
+  trash: 'deleted',
+  download: 'downloaded',
+};
+
+// Loopback, private, link-local and other non-public ranges webhooks may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Error raised when a webhook URL may not be used; carries the HTTP status to respond with
+ */
+class WebhookUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookUrlError';
+    this.statusCode = 400;
+  }
+}
+
+// Delivery settings
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const getDisableAfter = () => parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 15;
+const getTimeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const getRetentionDays = () => parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+
+// Hosts exempt from the address check, e.g. "localhost" for local testing
+const getAllowedHosts = () => {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks may not connect to it
+ */
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup for webhook requests that refuses non-public addresses. It runs when the
+ * connection is made, so a hostname can't pass validation and then rebind to an internal address.
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!getAllowedHosts().includes(hostname.toLowerCase())) {
+      const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+      if (blocked) {
+        return callback(new WebhookUrlError(`${hostname} resolves to a non-public address`));
+      }
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Validate a webhook URL: http(s) only, and the host must resolve to public addresses
+ * (unless it is listed in WEBHOOK_ALLOWED_HOSTS)
+ * @param {string} value - URL to check
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {WebhookUrlError} If the URL may not be used
+ */
+const validateWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new WebhookUrlError('A valid http(s) URL is required');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new WebhookUrlError('A valid http(s) URL is required');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (getAllowedHosts().includes(hostname)) return url;
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+    } catch (error) {
+      throw new WebhookUrlError(`Host ${hostname} could not be resolved`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw new WebhookUrlError('Webhook URLs must point to a public address');
+  }
+
+  return url;
+};
+
+/**
+ * POST a delivery and resolve with the response status. The response body is never read.
+ * @param {URL} url - Validated webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - JSON body
+ * @returns {Promise<number>} HTTP status code
+ */
+const postDelivery = (url, headers, body) => {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+
+    const request = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicOnlyLookup,
+      },
+      (response) => {
+        clearTimeout(timer);
+        resolve(response.statusCode);
+        response.destroy();
+      }
+    );
+
+    const timer = setTimeout(() => request.destroy(new Error('Request timed out')), getTimeoutMs());
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+};
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string} Secret shown to the user once
+ */
+const generateWebhookSecret = () => {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+};
+
+/**
+ * Sign a delivery. Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with
+ * their secret and compare it to v1 in the X-Webhook-Signature header ("t=...,v1=...").
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m... (capped at 6h) with some jitter
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const base = Math.min(30 * 1000 * 2 ** (attempts - 1), 6 * 60 * 60 * 1000);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Queue an event for every active webhook of the user that subscribes to it
+ * @param {ObjectId} ownerId - User whose webhooks receive the event
+ * @param {string} eventType - e.g. 'file.uploaded'
+ * @param {Object} data - Event data
+ * @param {Object} options - Optional webhook to target (test events)
+ * @returns {Promise<Array>} Created deliveries
+ */
+const queueEvent = async (ownerId, eventType, data, { webhook = null } = {}) => {
+  const webhooks = webhook
+    ? [webhook]
+    : (await Webhook.find({ owner: ownerId, isActive: true })).filter((hook) => hook.subscribesTo(eventType));
+
+  if (webhooks.length === 0) return [];
+
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: eventType,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((hook) => ({
+      webhook: hook._id,
+      owner: ownerId,
+      eventId: event.id,
+      eventType,
+      payload: event,
+      expiresAt: new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000),
+    }))
+  );
+
+  // Deliver right away instead of waiting for the next dispatcher run
+  setImmediate(processDueDeliveries);
+
+  return deliveries;
+};
+
+/**
+ * Emit the webhook event for a recorded activity
+ * @param {Object} activity - Activity document
+ * @param {Object} file - File document the activity is about
+ * @param {Object} actor - User who performed the action
+ */
+const emitActivityEvent = async (activity, file, actor) => {
+  const verb = ACTIVITY_EVENTS[activity.action];
+  if (!verb) return;
+
+  await queueEvent(file.owner, `${file.type}.${verb}`, {
+    file: {
+      id: file._id,
+      name: file.name,
+      type: file.type,
+      path: file.path,
+      mimeType: file.mimeType,
+      size: file.size,
+      parentFolder: file.parentFolder,
+    },
+    actor: { id: actor._id, email: actor.email },
+    before: activity.before,
+    after: activity.after,
+  });
+};
+
+/**
+ * Make one delivery attempt and record the outcome
+ * @param {Object} delivery - WebhookDelivery document (already claimed)
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  let succeeded = false;
+  try {
+    // Checked again on every attempt; the address may have changed since registration
+    const url = await validateWebhookUrl(webhook.url);
+
+    const status = await postDelivery(
+      url,
+      {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GoogleDriveClone-Webhooks/1.0',
+        'X-Webhook-Id': webhook._id.toString(),
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body
+    );
+
+    // Redirects aren't followed, so 3xx counts as a failure
+    succeeded = status >= 200 && status < 300;
+    delivery.responseStatus = status;
+    delivery.error = succeeded ? null : `Endpoint responded with ${status}`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.error = error.message;
+  }
+
+  delivery.durationMs = Date.now() - startedAt;
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    await delivery.save();
+    await Webhook.updateOne({ _id: webhook._id }, { consecutiveFailures: 0, lastDeliveryAt: new Date() });
+    return;
+  }
+
+  if (delivery.attempts >= getMaxAttempts()) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  }
+  await delivery.save();
+
+  // Disable endpoints that keep failing
+  const updated = await Webhook.findOneAndUpdate(
+    { _id: webhook._id },
+    { $inc: { consecutiveFailures: 1 }, lastDeliveryAt: new Date() },
+    { new: true }
+  );
+
+  if (updated && updated.isActive && updated.consecutiveFailures >= getDisableAfter()) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      {
+        isActive: false,
+        disabledAt: new Date(),
+        disabledReason: `Disabled after ${updated.consecutiveFailures} consecutive failed deliveries`,
+      }
+    );
+    await WebhookDelivery.updateMany(
+      { webhook: webhook._id, status: 'pending' },
+      { status: 'failed', error: 'Webhook is disabled' }
+    );
+  }
+};
+
+let processing = false;
+
+/**
+ * Deliver every due delivery, one at a time. Each delivery is claimed before it is
+ * sent, so several server instances can run the dispatcher safely.
+ * @returns {Promise<number>} Number of attempts made
+ */
+const processDueDeliveries = async () => {
+  if (processing) return 0;
+  processing = true;
+
+  let attempts = 0;
+  try {
+    while (true) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + getTimeoutMs() * 2) },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+
+      if (!delivery) break;
+
+      try {
+        await attemptDelivery(delivery);
+      } catch (error) {
+        console.error('Webhook delivery error:', error);
+      }
+      attempts += 1;
+    }
+  } catch (error) {
+    console.error('Webhook dispatch error:', error);
+  } finally {
+    processing = false;
+  }
+
+  return attempts;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  WebhookUrlError,
+  validateWebhookUrl,
+  generateWebhookSecret,
+  signPayload,
+  queueEvent,
+  emitActivityEvent,
+  processDueDeliveries,
+};